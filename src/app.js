@@ -10,12 +10,27 @@ import productRoutes from "./routes/productRoutes.js";
 import cartRoutes from "./routes/cartRoutes.js"; 
 import orderRoutes from "./routes/orderRoutes.js";
 import wishlistRoutes from "./routes/wishlistRoutes.js";
+import categoryRoutes from "./routes/categoryRoutes.js";
+import saleRoutes from "./routes/saleRoutes.js";
+import bundleRoutes from "./routes/bundleRoutes.js";
+import collectionRoutes from "./routes/collectionRoutes.js";
+import currencyRoutes from "./routes/currencyRoutes.js";
+import synonymRoutes from "./routes/synonymRoutes.js";
+import feedRoutes from "./routes/feedRoutes.js";
+import uploadRoutes from "./routes/uploadRoutes.js";
+import { serveUploads, UPLOADS_PATH } from "./utils/storage/index.js";
 
 const app = express();
 
 // Middleware
 app.use(helmet());
 app.use(cors());
+// Bulk catalog import takes larger JSON or raw CSV bodies
+app.use(
+  "/api/products/import",
+  express.json({ limit: "5mb" }),
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" })
+);
 app.use(express.json());
 app.use(morgan("dev"));
 
@@ -26,6 +41,15 @@ app.use("/api/products", productRoutes);
 app.use("/api/cart", cartRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/wishlist", wishlistRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/sales", saleRoutes);
+app.use("/api/bundles", bundleRoutes);
+app.use("/api/collections", collectionRoutes);
+app.use("/api/currencies", currencyRoutes);
+app.use("/api/search/synonyms", synonymRoutes);
+app.use("/api/uploads", uploadRoutes);
+app.use(UPLOADS_PATH, serveUploads); // locally stored images
+app.use("/", feedRoutes); // sitemap.xml, merchant feeds
 
 // Health check route
 app.get("/health", (req, res) => {
@@ -0,0 +1,129 @@
+// FILE: src/controllers/bulkEditController.js
+import BulkEditJob from "../models/BulkEditJob.js";
+import Product from "../models/Product.js";
+import { runBulkEditJob } from "../jobs/bulkEdit.js";
+import {
+  buildBulkFilter,
+  applyBulkOperations,
+  previewFinalPrice,
+} from "../utils/bulkEdit.js";
+import { validateBulkEdit } from "../utils/bulkEditValidation.js";
+
+/**
+ * Utility: format Joi errors
+ */
+const formatValidationError = (error) =>
+  error.details.map((err) => err.message);
+
+const PREVIEW_LIMIT = 20;
+
+/**
+ * Utility: matching count plus before/after for the first few products
+ */
+const previewBulkEdit = async ({ filter, operations }) => {
+  const query = buildBulkFilter(filter);
+  const [products, matched] = await Promise.all([
+    Product.find(query)
+      .sort({ _id: 1 })
+      .limit(PREVIEW_LIMIT)
+      .select("name sku price discount finalPrice tags isFeatured isNewArrival allowBackorder variants")
+      .lean(),
+    Product.countDocuments(query),
+  ]);
+
+  return {
+    matched,
+    sample: products.map((p) => {
+      const changes = applyBulkOperations(p, operations);
+      return {
+        id: p._id,
+        name: p.name,
+        sku: p.sku,
+        changes,
+        finalPrice: { from: p.finalPrice, to: previewFinalPrice(p, changes) },
+      };
+    }),
+  };
+};
+
+// ✅ Admin: bulk edit products (?preview=true or { preview: true } to dry-run)
+export const bulkEditProducts = async (req, res) => {
+  try {
+    const { error, value } = validateBulkEdit(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    if (value.preview || req.query.preview === "true") {
+      return res.status(200).json({
+        success: true,
+        preview: true,
+        data: await previewBulkEdit(value),
+      });
+    }
+
+    const job = await BulkEditJob.create({
+      filter: value.filter,
+      operations: value.operations,
+      createdBy: req.user._id,
+    });
+
+    // runs after the response; progress is tracked on the job
+    runBulkEditJob(job._id).catch((err) =>
+      console.error(`❌ Bulk edit ${job._id} failed:`, err.message)
+    );
+
+    res.status(202).json({
+      success: true,
+      message: "Bulk edit queued",
+      data: job,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: list bulk edit jobs (newest first)
+export const listBulkEditJobs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.min(Math.max(1, parseInt(limit, 10) || 20), 100);
+    const query = status ? { status } : {};
+
+    const [jobs, total] = await Promise.all([
+      BulkEditJob.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .select("-failures"),
+      BulkEditJob.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / limitNumber),
+      data: jobs,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: one bulk edit job with its progress and failures
+export const getBulkEditJob = async (req, res) => {
+  try {
+    const job = await BulkEditJob.findById(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Bulk edit job not found" });
+    }
+    res.status(200).json({ success: true, data: job });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,204 @@
+// FILE: src/controllers/bundleController.js
+import Bundle from "../models/Bundle.js";
+import Cart from "../models/Cart.js";
+import { releaseImages, collectImageUrls } from "../utils/uploads.js";
+import {
+  validateCreateBundle,
+  validateUpdateBundle,
+  validateBundleComponents,
+} from "../utils/bundleValidation.js";
+
+/**
+ * Utility: format Joi errors
+ */
+const formatValidationError = (error) =>
+  error.details.map((err) => err.message);
+
+const COMPONENT_PRODUCT_FIELDS =
+  "name slug images price discount finalPrice sizes colors variants stock allowBackorder status isActive";
+
+/**
+ * Utility: bundle JSON with the unbundled price and the saving
+ * (expects components.product to be populated)
+ */
+const withPricing = (bundle) => {
+  const json = bundle.toJSON();
+  const regularPrice =
+    Math.round(
+      bundle.components.reduce((sum, c) => {
+        if (!c.product?.priceFor) return sum;
+        return sum + Number(c.product.priceFor(c.size, c.color)) * c.quantity * 100;
+      }, 0)
+    ) / 100;
+  return {
+    ...json,
+    regularPrice,
+    savings: Math.max(0, Math.round((regularPrice - bundle.price) * 100) / 100),
+    isLive: bundle.isLive(),
+  };
+};
+
+/**
+ * Utility: drop carted bundles that can no longer be bought
+ */
+const cleanupCartsForBundle = async (bundleId) => {
+  const carts = await Cart.find({ "items.bundle": bundleId });
+  for (const cart of carts) await cart.cleanupItems();
+};
+
+// ✅ List bundles (shoppers: live offers; admins: ?all=true for every bundle)
+export const listBundles = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, all } = req.query;
+    const pageNumber = parseInt(page, 10) || 1;
+    const limitNumber = parseInt(limit, 10) || 20;
+    const query = req.userRole === "admin" && all === "true" ? {} : Bundle.liveFilter();
+
+    const [bundles, total] = await Promise.all([
+      Bundle.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .populate("components.product", COMPONENT_PRODUCT_FIELDS),
+      Bundle.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / limitNumber),
+      data: bundles.map(withPricing),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Get bundle by slug (live only for shoppers)
+export const getBundleBySlug = async (req, res) => {
+  try {
+    const bundle = await Bundle.findOne({
+      slug: String(req.params.slug).toLowerCase(),
+      ...(req.userRole === "admin" ? {} : Bundle.liveFilter()),
+    }).populate("components.product", COMPONENT_PRODUCT_FIELDS);
+
+    if (!bundle) {
+      return res.status(404).json({ success: false, message: "Bundle not found" });
+    }
+    res.status(200).json({ success: true, data: withPricing(bundle) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: create bundle
+export const createBundle = async (req, res) => {
+  try {
+    const { error, value } = validateCreateBundle(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    const componentErrors = await validateBundleComponents(value.components);
+    if (componentErrors.length) {
+      return res.status(400).json({ success: false, errors: componentErrors });
+    }
+
+    const bundle = new Bundle({
+      ...value,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    await bundle.save();
+    await bundle.populate("components.product", COMPONENT_PRODUCT_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: "Bundle created successfully",
+      data: withPricing(bundle),
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        errors: Object.values(err.errors).map((e) => e.message),
+      });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: update bundle
+export const updateBundle = async (req, res) => {
+  try {
+    const { error, value } = validateUpdateBundle(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    if (value.components) {
+      const componentErrors = await validateBundleComponents(value.components);
+      if (componentErrors.length) {
+        return res.status(400).json({ success: false, errors: componentErrors });
+      }
+    }
+
+    const bundle = await Bundle.findById(req.params.bundleId);
+    if (!bundle) {
+      return res.status(404).json({ success: false, message: "Bundle not found" });
+    }
+
+    const previousImages = collectImageUrls({ images: bundle.images });
+    Object.assign(bundle, value, { updatedBy: req.user._id });
+    await bundle.save();
+    releaseImages(previousImages, collectImageUrls({ images: bundle.images }));
+
+    // carted selections may no longer match the components
+    if (value.components || !bundle.isLive()) {
+      cleanupCartsForBundle(bundle._id).catch((err) =>
+        console.error("Error cleaning carts after bundle update:", err?.message || err)
+      );
+    }
+
+    await bundle.populate("components.product", COMPONENT_PRODUCT_FIELDS);
+    res.status(200).json({
+      success: true,
+      message: "Bundle updated successfully",
+      data: withPricing(bundle),
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        errors: Object.values(err.errors).map((e) => e.message),
+      });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: delete bundle (orders keep their own line snapshots)
+export const deleteBundle = async (req, res) => {
+  try {
+    const bundle = await Bundle.findByIdAndDelete(req.params.bundleId);
+    if (!bundle) {
+      return res.status(404).json({ success: false, message: "Bundle not found" });
+    }
+
+    cleanupCartsForBundle(bundle._id).catch((err) =>
+      console.error("Error cleaning carts after bundle deletion:", err?.message || err)
+    );
+    releaseImages(collectImageUrls({ images: bundle.images }));
+
+    res.status(200).json({ success: true, message: "Bundle deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
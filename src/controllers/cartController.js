@@ -2,6 +2,16 @@
 import Joi from "joi";
 import Cart from "../models/Cart.js";
 import Product from "../models/Product.js";
+import Bundle from "../models/Bundle.js";
+import { getLiveSales, resolveSalePrice } from "../utils/salePricing.js";
+import { resolveBundleItems, findBundleShortfall } from "../utils/bundles.js";
+import { validateBundleSelections } from "../utils/bundleValidation.js";
+import {
+  resolveRequestCurrency,
+  displayLines,
+  currencyInfo,
+  UnsupportedCurrencyError,
+} from "../utils/currency.js";
 
 /** ===============================
  * Validation
@@ -9,9 +19,16 @@ import Product from "../models/Product.js";
 const addItemSchema = Joi.object({
   productId: Joi.string().length(24).required(),
   size: Joi.string().optional(),   // ✅ direct size
+  color: Joi.string().trim().optional(),
   quantity: Joi.number().integer().min(1).max(1000).default(1),
 });
 
+const addBundleSchema = Joi.object({
+  bundleId: Joi.string().length(24).required(),
+  quantity: Joi.number().integer().min(1).max(100).default(1),
+  selections: Joi.array().optional(),
+});
+
 const updateItemSchema = Joi.object({
   quantity: Joi.number().integer().min(0).max(1000).required(),
 });
@@ -19,14 +36,65 @@ const updateItemSchema = Joi.object({
 /** ===============================
  * Helpers
  * =============================== */
-const resolvePrice = (product) => {
-  return Number(product.finalPrice) || Number(product.price) || 0;
+// Current price including any live sale campaign
+const resolvePrice = (product, size, color, sales = []) => {
+  return Number(resolveSalePrice(product, sales, size, color).price) || 0;
+};
+
+const resolveStock = (product, size, color) => {
+  return product.availableStock(size, color);
+};
+
+// Backorderable products may be carted beyond stock
+const exceedsStock = (product, quantity, stock) => {
+  return !product.allowBackorder && quantity > stock;
+};
+
+// Products sold by size/colour must be carted against one of their variants
+const isUnknownVariant = (product, size, color) => {
+  if (color && !product.findColor(color)) return true;
+  return product.hasVariants() && !product.findVariant(size, color);
 };
 
-const resolveStock = (product) => {
-  return Number(product.stock) || 0;
+const sameColor = (a, b) =>
+  String(a || "").toLowerCase() === String(b || "").toLowerCase();
+
+// Live bundle resolved against the shopper's picks, with stock for `quantity` sets
+const resolveBundleLine = async (bundleId, selections, quantity) => {
+  const bundle = await Bundle.findById(bundleId);
+  if (!bundle || !bundle.isLive()) {
+    return { status: 404, message: "Bundle not found or no longer offered" };
+  }
+
+  const { items, errors } = await resolveBundleItems(bundle, selections);
+  if (errors.length) return { status: 400, message: errors[0], errors };
+
+  const shortfall = findBundleShortfall(items, quantity);
+  if (shortfall) return { status: 400, message: shortfall };
+
+  return { bundle, items };
 };
 
+const toBundleItems = (items) =>
+  items.map((i) => ({
+    componentId: i.componentId,
+    product: i.product._id,
+    size: i.size,
+    color: i.color,
+    quantity: i.quantity,
+  }));
+
+const sameBundleItems = (a = [], b = []) =>
+  a.length === b.length &&
+  a.every((x, idx) => {
+    const y = b[idx];
+    return (
+      String(x.componentId) === String(y.componentId) &&
+      (x.size || "") === (y.size || "") &&
+      sameColor(x.color, y.color)
+    );
+  });
+
 function removeItemFromCart(cart, itemId) {
   if (!cart || !Array.isArray(cart.items)) return false;
   const initialLen = cart.items.length;
@@ -41,23 +109,70 @@ function removeItemFromCart(cart, itemId) {
  * =============================== */
 export const getCart = async (req, res) => {
   try {
-    let cart = await Cart.findOne({ user: req.user._id }).populate("items.product");
+    const currency = await resolveRequestCurrency(req);
+    let cart = await Cart.findOne({ user: req.user._id }).populate("items.product items.bundle");
     if (!cart) return res.json({ items: [], totalPrice: 0 });
 
+    // Re-price lines so sale prices apply (and lapse) without re-adding items;
+    // bundles keep their own price
+    const sales = await getLiveSales();
+    let repriced = false;
+    for (const item of cart.items) {
+      let price;
+      if (item.bundle) {
+        if (item.bundle.price === undefined) continue;
+        price = item.bundle.price;
+      } else {
+        if (!item.product?.priceFor) continue;
+        price = resolvePrice(item.product, item.size, item.color, sales);
+      }
+      if (price !== item.price) {
+        item.price = price;
+        repriced = true;
+      }
+    }
+    if (repriced) {
+      cart.markModified("items");
+      await cart.save();
+    }
+
     const itemsWithDetails = cart.items.map((item) => {
       const obj = item.toObject ? item.toObject() : { ...item };
       const product = item.product?.toObject?.() || item.product || null;
       obj.product = product;
+      if (item.bundle) obj.bundle = item.bundle.toJSON?.() || item.bundle;
+      // units beyond current stock that will ship as a backorder
+      if (item.product?.allowBackorder) {
+        const stock = resolveStock(item.product, item.size, item.color);
+        obj.backorderQuantity = Math.max(0, item.quantity - stock);
+        if (obj.backorderQuantity) {
+          obj.expectedShipDate = item.product.expectedBackorderShipDate();
+        }
+      }
       return obj;
     });
 
+    // Prices in the requested currency; totalPrice stays in the base currency
+    let display;
+    if (currency) {
+      const { lines, subTotal } = displayLines(cart.items, currency);
+      lines.forEach((line, idx) => {
+        itemsWithDetails[idx].display = line;
+      });
+      display = { currency: currencyInfo(currency), totalPrice: subTotal };
+    }
+
     return res.json({
       _id: cart._id,
       user: cart.user,
       totalPrice: cart.totalPrice,
       items: itemsWithDetails,
+      ...(display && { display }),
     });
   } catch (err) {
+    if (err instanceof UnsupportedCurrencyError) {
+      return res.status(400).json({ message: err.message });
+    }
     console.error("Get cart error:", err.message);
     return res.status(500).json({ message: "Server error while fetching cart" });
   }
@@ -75,30 +190,41 @@ export const addToCart = async (req, res) => {
     });
   }
 
-  const { productId, size, quantity } = value;
+  const { productId, size, color, quantity } = value;
   try {
     const product = await Product.findById(productId);
     if (!product) return res.status(404).json({ message: "Product not found" });
+    if (!product.isAvailable()) {
+      return res.status(400).json({ message: "Product is not available" });
+    }
 
-    const stock = resolveStock(product);
-    if (quantity > stock) {
+    if (isUnknownVariant(product, size, color)) {
+      return res.status(400).json({ message: "Please select an available size and colour" });
+    }
+
+    const stock = resolveStock(product, size, color);
+    if (exceedsStock(product, quantity, stock)) {
       return res.status(400).json({ message: "Insufficient stock available" });
     }
 
-    const price = resolvePrice(product);
+    const sales = await getLiveSales();
+    const price = resolvePrice(product, size, color, sales);
+    // store the colour name as the product spells it
+    const colorName = product.findColor(color)?.name;
     let cart = await Cart.getOrCreate(req.user._id);
 
     // find if already exists with same product, size, color
     const idx = cart.items.findIndex(
       (i) =>
         String(i.product) === String(productId) &&
-        i.size === size
+        i.size === size &&
+        sameColor(i.color, colorName)
     );
 
     if (idx > -1) {
       // update qty
       const newQty = (cart.items[idx].quantity || 0) + quantity;
-      if (newQty > stock) {
+      if (exceedsStock(product, newQty, stock)) {
         return res.status(400).json({ message: "Insufficient stock for this product" });
       }
       cart.items[idx].quantity = newQty;
@@ -108,13 +234,14 @@ export const addToCart = async (req, res) => {
       cart.items.push({
         product: product._id,
         size,
+        color: colorName,
         quantity,
         price,
       });
     }
 
     await cart.save();
-    await cart.populate("items.product");
+    await cart.populate("items.product items.bundle");
     return res.json({ message: "Item added/updated in cart", cart });
   } catch (err) {
     console.error("Add to cart error:", err.message);
@@ -122,6 +249,58 @@ export const addToCart = async (req, res) => {
   }
 };
 
+/** ===============================
+ * POST /api/cart/bundles
+ * =============================== */
+export const addBundleToCart = async (req, res) => {
+  const { error, value } = addBundleSchema.validate(req.body, { abortEarly: false });
+  const picks = error ? {} : validateBundleSelections(value.selections);
+  const details = error?.details || picks.error?.details;
+  if (details) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: details.map((d) => d.message),
+    });
+  }
+
+  const { bundleId, quantity } = value;
+  try {
+    let cart = await Cart.getOrCreate(req.user._id);
+    const line = await resolveBundleLine(bundleId, picks.value, quantity);
+    if (line.message) {
+      return res.status(line.status).json({ message: line.message, errors: line.errors });
+    }
+
+    const bundleItems = toBundleItems(line.items);
+    const existing = cart.items.find(
+      (i) => String(i.bundle) === String(bundleId) && sameBundleItems(i.bundleItems, bundleItems)
+    );
+
+    if (existing) {
+      const newQty = existing.quantity + quantity;
+      if (findBundleShortfall(line.items, newQty)) {
+        return res.status(400).json({ message: "Insufficient stock for this bundle" });
+      }
+      existing.quantity = newQty;
+      existing.price = line.bundle.price;
+    } else {
+      cart.items.push({
+        bundle: line.bundle._id,
+        bundleItems,
+        quantity,
+        price: line.bundle.price,
+      });
+    }
+
+    await cart.save();
+    await cart.populate("items.product items.bundle");
+    return res.json({ message: "Bundle added/updated in cart", cart });
+  } catch (err) {
+    console.error("Add bundle to cart error:", err.message);
+    return res.status(500).json({ message: "Server error while adding bundle to cart" });
+  }
+};
+
 /** ===============================
  * PUT /api/cart/items/:itemId
  * =============================== */
@@ -147,22 +326,39 @@ export const updateCartItem = async (req, res) => {
       if (!removeItemFromCart(cart, itemId)) {
         return res.status(404).json({ message: "Item not found in cart" });
       }
+    } else if (item.bundle) {
+      const line = await resolveBundleLine(item.bundle, item.bundleItems, quantity);
+      if (line.message) {
+        return res.status(line.status).json({ message: line.message, errors: line.errors });
+      }
+      item.quantity = quantity;
+      item.price = line.bundle.price;
+      item.bundleItems = toBundleItems(line.items);
+      cart.markModified("items");
     } else {
       const product = await Product.findById(item.product);
       if (!product) return res.status(404).json({ message: "Product not found" });
+      if (!product.isAvailable()) {
+        return res.status(400).json({ message: "Product is no longer available" });
+      }
+
+      if (isUnknownVariant(product, item.size, item.color)) {
+        return res.status(400).json({ message: "Selected size or colour is no longer available" });
+      }
 
-      const stock = resolveStock(product);
-      if (quantity > stock) {
+      const stock = resolveStock(product, item.size, item.color);
+      if (exceedsStock(product, quantity, stock)) {
         return res.status(400).json({ message: "Insufficient stock available" });
       }
 
       item.quantity = quantity;
-      item.price = resolvePrice(product);
+      const sales = await getLiveSales();
+      item.price = resolvePrice(product, item.size, item.color, sales);
       cart.markModified("items");
     }
 
     await cart.save();
-    await cart.populate("items.product");
+    await cart.populate("items.product items.bundle");
     return res.json({ message: "Cart updated", cart });
   } catch (err) {
     console.error("Update cart item error:", err.message);
@@ -184,7 +380,7 @@ export const removeFromCart = async (req, res) => {
     }
 
     await cart.save();
-    await cart.populate("items.product");
+    await cart.populate("items.product items.bundle");
     return res.json({ message: "Item removed from cart", cart });
   } catch (err) {
     console.error("Remove from cart error:", err.message);
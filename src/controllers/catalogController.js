@@ -0,0 +1,219 @@
+// FILE: src/controllers/catalogController.js
+import Product from "../models/Product.js";
+import { recordProductChange } from "../utils/productHistory.js";
+import { checkLowStock } from "../utils/stockAlerts.js";
+import { allocateBackorders } from "../utils/backorders.js";
+import {
+  validateCreateProduct,
+  validateUpdateProduct,
+  validateProductCategories,
+} from "../utils/productValidation.js";
+import { parseCsv, toCsv } from "../utils/csv.js";
+import {
+  CATALOG_COLUMNS,
+  productToRecord,
+  recordToCsvRow,
+  csvRowToRecord,
+} from "../utils/catalogTransfer.js";
+
+const MAX_IMPORT_ROWS = 5000;
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date);
+
+/**
+ * Utility: nested fields → dot paths, so updating shipping.weightGrams
+ * leaves the rest of `shipping` alone (arrays are replaced whole)
+ */
+const toSetPaths = (obj, prefix = "", out = {}) => {
+  for (const [key, value] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) toSetPaths(value, path, out);
+    else out[path] = value;
+  }
+  return out;
+};
+
+/**
+ * Utility: read import records from a CSV (text) or JSON body
+ * Each entry is { record } or { error } so bad rows still get reported.
+ */
+const readImportRows = (req) => {
+  if (typeof req.body === "string") {
+    return parseCsv(req.body).map((row) => {
+      try {
+        return { record: csvRowToRecord(row) };
+      } catch (err) {
+        return { error: err.message, sku: row.sku || undefined };
+      }
+    });
+  }
+
+  const list = Array.isArray(req.body) ? req.body : req.body?.products;
+  if (!Array.isArray(list)) return null;
+  return list.map((record) =>
+    record && typeof record === "object"
+      ? { record }
+      : { error: "Row must be an object" }
+  );
+};
+
+// ✅ Import Products (CSV or JSON, upsert by SKU, optional dry run)
+export const importProducts = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === "true";
+    const rows = readImportRows(req);
+
+    if (!rows) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Send a CSV body (Content-Type: text/csv) or a JSON array of products",
+      });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ success: false, message: "No rows to import" });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many rows. Maximum ${MAX_IMPORT_ROWS} per import.`,
+      });
+    }
+
+    const results = [];
+    const seenSkus = new Set();
+    const touchedIds = [];
+
+    for (const [idx, entry] of rows.entries()) {
+      const rowNumber = idx + 1;
+
+      if (entry.error) {
+        results.push({ row: rowNumber, sku: entry.sku, status: "failed", errors: [entry.error] });
+        continue;
+      }
+
+      const sku = entry.record.sku ? String(entry.record.sku).trim() : undefined;
+      const existing = sku ? await Product.findOne({ sku }).lean() : null;
+
+      // existing SKUs only change the columns the row fills in (no defaults)
+      const { error, value } = existing
+        ? validateUpdateProduct(entry.record)
+        : validateCreateProduct(entry.record);
+      if (error) {
+        results.push({
+          row: rowNumber,
+          sku,
+          status: "failed",
+          errors: error.details.map((d) => d.message),
+        });
+        continue;
+      }
+
+      const categoryErrors = await validateProductCategories(value, existing || undefined);
+      if (categoryErrors.length) {
+        results.push({ row: rowNumber, sku, status: "failed", errors: categoryErrors });
+        continue;
+      }
+
+      if (sku && seenSkus.has(sku)) {
+        results.push({
+          row: rowNumber,
+          sku,
+          status: "failed",
+          errors: [`Duplicate SKU ${sku} earlier in this file`],
+        });
+        continue;
+      }
+      if (sku) seenSkus.add(sku);
+
+      try {
+        const action = existing ? "updated" : "created";
+
+        if (!dryRun) {
+          let product;
+          if (existing) {
+            product = await Product.findByIdAndUpdate(
+              existing._id,
+              { $set: { ...toSetPaths(value), updatedBy: req.user._id } },
+              { new: true, runValidators: true, context: "query" }
+            );
+          } else {
+            // model pre-save generates a SKU when the row has none
+            product = await new Product({
+              ...value,
+              ...(sku && { sku }),
+              createdBy: req.user._id,
+              updatedBy: req.user._id,
+            }).save();
+          }
+
+          await recordProductChange({
+            product,
+            before: existing,
+            action: existing ? "update" : "create",
+            actor: req.user._id,
+            note: "Catalog import",
+          });
+          touchedIds.push(product._id);
+        }
+
+        results.push({ row: rowNumber, sku, status: action });
+      } catch (err) {
+        const message =
+          err.code === 11000
+            ? `Duplicate value for ${Object.keys(err.keyValue || {})[0]}`
+            : err.message;
+        results.push({ row: rowNumber, sku, status: "failed", errors: [message] });
+      }
+    }
+
+    if (touchedIds.length) {
+      allocateBackorders(touchedIds).then(() => checkLowStock(touchedIds));
+    }
+
+    const summary = results.reduce(
+      (acc, r) => {
+        acc[r.status] += 1;
+        return acc;
+      },
+      { total: results.length, created: 0, updated: 0, failed: 0 }
+    );
+
+    res.status(dryRun ? 200 : 201).json({
+      success: summary.failed === 0,
+      dryRun,
+      summary,
+      results,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Export Products (same format the importer accepts)
+export const exportProducts = async (req, res) => {
+  try {
+    const format = req.query.format === "json" ? "json" : "csv";
+    const products = await Product.find({}).sort({ createdAt: 1 }).lean();
+    const records = products.map(productToRecord);
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === "json") {
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="catalog-${stamp}.json"`
+      );
+      return res.status(200).json(records);
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="catalog-${stamp}.csv"`
+    );
+    return res.status(200).send(toCsv(records.map(recordToCsvRow), CATALOG_COLUMNS));
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
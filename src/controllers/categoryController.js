@@ -0,0 +1,234 @@
+// FILE: src/controllers/categoryController.js
+import Category from "../models/Category.js";
+import Product from "../models/Product.js";
+import {
+  validateCreateCategory,
+  validateUpdateCategory,
+} from "../utils/categoryValidation.js";
+import { resolveLocale, setLocaleHeaders, localize } from "../utils/locale.js";
+import { releaseImages } from "../utils/uploads.js";
+
+/**
+ * Utility: format Joi errors
+ */
+const formatValidationError = (error) =>
+  error.details.map((err) => err.message);
+
+const duplicateResponse = (res) =>
+  res.status(400).json({
+    success: false,
+    message: "A category with this name or slug already exists here",
+  });
+
+// ✅ Public Category Tree (active categories, nested)
+export const getCategoryTree = async (req, res) => {
+  try {
+    // admins may pass ?all=true to include inactive categories
+    const filter =
+      req.userRole === "admin" && req.query.all === "true" ? {} : { isActive: true };
+    const categories = await Category.find(filter)
+      .sort({ sortOrder: 1, name: 1 })
+      .lean();
+
+    const locale = resolveLocale(req);
+    const keepTranslations = req.userRole === "admin";
+    setLocaleHeaders(res, locale);
+    res.status(200).json({
+      success: true,
+      data: Category.buildTree(categories.map((c) => localize(c, locale, { keepTranslations }))),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Get Category by Slug (with its direct children)
+export const getCategoryBySlug = async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      slug: String(req.params.slug || "").toLowerCase(),
+      isActive: true,
+    }).populate("ancestors", "name slug translations");
+    if (!category) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Category not found" });
+    }
+
+    const children = await Category.find({ parent: category._id, isActive: true })
+      .sort({ sortOrder: 1, name: 1 })
+      .select("name slug image sortOrder translations");
+
+    const locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
+    const data = localize(category.toJSON(), locale);
+    data.ancestors = (data.ancestors || []).map((a) => localize(a, locale));
+    res.status(200).json({
+      success: true,
+      data: { ...data, children: children.map((c) => localize(c.toJSON(), locale)) },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Create Category
+export const createCategory = async (req, res) => {
+  try {
+    const { error, value } = validateCreateCategory(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    // pre-save resolves ancestors and a unique slug
+    const category = new Category(value);
+    await category.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Category created successfully",
+      data: category,
+    });
+  } catch (err) {
+    if (err.code === 11000) return duplicateResponse(res);
+    if (err.message === "Parent category not found") {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Update Category (rename, move, reorder, SEO)
+export const updateCategory = async (req, res) => {
+  try {
+    const { error, value } = validateUpdateCategory(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    const category = await Category.findById(req.params.categoryId);
+    if (!category) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Category not found" });
+    }
+
+    // Moving under itself or one of its descendants would create a cycle
+    if (value.parent) {
+      const newParent = await Category.findById(value.parent).lean();
+      if (!newParent) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Parent category not found" });
+      }
+      const ownId = String(category._id);
+      if (
+        String(newParent._id) === ownId ||
+        (newParent.ancestors || []).some((id) => String(id) === ownId)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "A category cannot be moved under itself or its descendants",
+        });
+      }
+    }
+
+    const oldName = category.name;
+    const oldParentId = category.parent;
+    const oldParent = oldParentId
+      ? await Category.findById(oldParentId).select("name").lean()
+      : null;
+    const parentChanged =
+      "parent" in value && String(value.parent || "") !== String(oldParentId || "");
+    // a subcategory whose parent is gone has no products to update
+    const tracksProducts = !oldParentId || Boolean(oldParent);
+
+    // Products only name their category and subcategory, so they cannot
+    // follow a category to another level of the tree
+    if (parentChanged && tracksProducts) {
+      const productCount = await Product.countDocuments(
+        Category.productFilter(oldName, oldParent?.name)
+      );
+      if (productCount) {
+        return res.status(409).json({
+          success: false,
+          message: `Category is used by ${productCount} products; move them before moving the category`,
+        });
+      }
+    }
+
+    const previousImage = category.image?.url;
+    Object.assign(category, value);
+    await category.save();
+    releaseImages([previousImage].filter(Boolean), [category.image?.url]);
+
+    // Keep descendants' ancestor paths in sync after a move
+    if (parentChanged) {
+      const descendants = await Category.find({ ancestors: category._id });
+      for (const child of descendants) {
+        const idx = child.ancestors.findIndex(
+          (id) => String(id) === String(category._id)
+        );
+        child.ancestors = [...category.ancestors, category._id, ...child.ancestors.slice(idx + 1)];
+        await child.save();
+      }
+    }
+
+    // Products store category names, so carry a rename over to them
+    if (value.name && value.name !== oldName && tracksProducts) {
+      const { filter, update } = Category.productRename(oldName, category.name, oldParent?.name);
+      await Product.updateMany(filter, update);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Category updated successfully",
+      data: category,
+    });
+  } catch (err) {
+    if (err.code === 11000) return duplicateResponse(res);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Delete Category (only when unused)
+export const deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.categoryId);
+    if (!category) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Category not found" });
+    }
+
+    const [childCount, productCount] = await Promise.all([
+      Category.countDocuments({ parent: category._id }),
+      Product.countDocuments({
+        $or: [{ category: category.name }, { subCategory: category.name }],
+      }),
+    ]);
+
+    if (childCount || productCount) {
+      return res.status(409).json({
+        success: false,
+        message: `Category is in use by ${childCount} subcategories and ${productCount} products`,
+      });
+    }
+
+    await category.deleteOne();
+    releaseImages([category.image?.url].filter(Boolean));
+
+    res.status(200).json({
+      success: true,
+      message: "Category deleted successfully",
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,298 @@
+// FILE: src/controllers/collectionController.js
+import Collection from "../models/Collection.js";
+import Product from "../models/Product.js";
+import { getLiveSales, salePricingFields } from "../utils/salePricing.js";
+import { releaseImages, collectImageUrls } from "../utils/uploads.js";
+import { resolveLocale, setLocaleHeaders, localize } from "../utils/locale.js";
+import {
+  parseRule,
+  normalizeConditions,
+  describeRule,
+  ruleToFilter,
+  RuleSyntaxError,
+} from "../utils/collectionRules.js";
+import {
+  validateCreateCollection,
+  validateUpdateCollection,
+  validateCollectionProducts,
+} from "../utils/collectionValidation.js";
+
+/**
+ * Utility: format Joi errors
+ */
+const formatValidationError = (error) =>
+  error.details.map((err) => err.message);
+
+// Product order for each collection sort ("manual" keeps the admin's list order)
+const PRODUCT_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { finalPrice: 1, _id: 1 },
+  price_desc: { finalPrice: -1, _id: -1 },
+  rating: { "ratings.average": -1, _id: -1 },
+  name: { name: 1, _id: 1 },
+};
+
+const PREVIEW_LIMIT = 20;
+
+/**
+ * Utility: rules from the request (text or structured) → { match, conditions }
+ * @throws {RuleSyntaxError}
+ */
+const resolveRules = (rules) =>
+  typeof rules === "string"
+    ? parseRule(rules)
+    : { match: rules.match || "all", conditions: normalizeConditions(rules.conditions) };
+
+/**
+ * Utility: collection JSON with the rule in text form
+ */
+const presentCollection = (collection) => {
+  const json = collection.toJSON();
+  if (collection.type === "rule") json.ruleText = describeRule(collection.rules);
+  return json;
+};
+
+/**
+ * Utility: one page of a collection's storefront-visible products
+ * @returns {Promise<{ products: Array, total: number }>}
+ */
+const findCollectionProducts = async (collection, { skip, limit }) => {
+  const visible = Product.publicFilter();
+
+  // hand-picked order: page through the id list itself
+  if (collection.type === "manual" && collection.sort === "manual") {
+    const listed = await Product.find({ _id: { $in: collection.products }, ...visible }).distinct("_id");
+    const listedIds = new Set(listed.map(String));
+    const ordered = collection.products.filter((id) => listedIds.has(String(id)));
+    const pageIds = ordered.slice(skip, skip + limit).map(String);
+
+    const docs = await Product.find({ _id: { $in: pageIds } });
+    docs.sort((a, b) => pageIds.indexOf(String(a._id)) - pageIds.indexOf(String(b._id)));
+    return { products: docs, total: ordered.length };
+  }
+
+  const query =
+    collection.type === "rule"
+      ? { ...ruleToFilter(collection.rules), ...visible }
+      : { _id: { $in: collection.products }, ...visible };
+  const [products, total] = await Promise.all([
+    Product.find(query)
+      .sort(PRODUCT_SORTS[collection.sort] || PRODUCT_SORTS.newest)
+      .skip(skip)
+      .limit(limit),
+    Product.countDocuments(query),
+  ]);
+  return { products, total };
+};
+
+// ✅ List collections (shoppers: visible now; admins: ?all=true for every collection)
+export const listCollections = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, all } = req.query;
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.min(Math.max(1, parseInt(limit, 10) || 20), 100);
+    const query = req.userRole === "admin" && all === "true" ? {} : Collection.liveFilter();
+
+    const [collections, total] = await Promise.all([
+      Collection.find(query)
+        .sort({ sortOrder: 1, name: 1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .select("-products"),
+      Collection.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / limitNumber),
+      data: collections.map(presentCollection),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Get collection by slug with a page of its products
+export const getCollectionBySlug = async (req, res) => {
+  try {
+    const { page = 1, limit = 24 } = req.query;
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.min(Math.max(1, parseInt(limit, 10) || 24), 100);
+
+    const collection = await Collection.findOne({
+      slug: String(req.params.slug || "").toLowerCase(),
+      ...(req.userRole === "admin" ? {} : Collection.liveFilter()),
+    });
+    if (!collection) {
+      return res.status(404).json({ success: false, message: "Collection not found" });
+    }
+
+    const [{ products, total }, sales] = await Promise.all([
+      findCollectionProducts(collection, {
+        skip: (pageNumber - 1) * limitNumber,
+        limit: limitNumber,
+      }),
+      getLiveSales(),
+    ]);
+
+    const wishlistIds = (req.user?.wishlist || []).map(String);
+    const locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
+    res.status(200).json({
+      success: true,
+      data: presentCollection(collection),
+      products: products.map((p) => ({
+        ...localize({ ...p.toJSON(), ...salePricingFields(p, sales) }, locale),
+        isInWishlist: wishlistIds.includes(String(p._id)),
+      })),
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / limitNumber),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: products a rule would match, before saving it
+export const previewCollectionRule = async (req, res) => {
+  try {
+    if (!req.body?.rules) {
+      return res.status(400).json({ success: false, message: "rules is required" });
+    }
+    const rules = resolveRules(req.body.rules);
+    const query = { ...ruleToFilter(rules), ...Product.publicFilter() };
+
+    const [products, total] = await Promise.all([
+      Product.find(query)
+        .sort(PRODUCT_SORTS.newest)
+        .limit(PREVIEW_LIMIT)
+        .select("name slug images finalPrice stock"),
+      Product.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { rules, ruleText: describeRule(rules), total, products },
+    });
+  } catch (err) {
+    if (err instanceof RuleSyntaxError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: create collection
+export const createCollection = async (req, res) => {
+  try {
+    const { error, value } = validateCreateCollection(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    if (value.rules) value.rules = resolveRules(value.rules);
+    const productErrors = await validateCollectionProducts(value.products);
+    if (productErrors.length) {
+      return res.status(400).json({ success: false, errors: productErrors });
+    }
+
+    const collection = new Collection({
+      ...value,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    await collection.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Collection created successfully",
+      data: presentCollection(collection),
+    });
+  } catch (err) {
+    if (err instanceof RuleSyntaxError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        errors: Object.values(err.errors).map((e) => e.message),
+      });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: update collection
+export const updateCollection = async (req, res) => {
+  try {
+    const { error, value } = validateUpdateCollection(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    if (value.rules) value.rules = resolveRules(value.rules);
+    if (value.products) {
+      const productErrors = await validateCollectionProducts(value.products);
+      if (productErrors.length) {
+        return res.status(400).json({ success: false, errors: productErrors });
+      }
+    }
+
+    const collection = await Collection.findById(req.params.collectionId);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: "Collection not found" });
+    }
+
+    const previousImages = collectImageUrls({ images: collection.heroImages });
+    Object.assign(collection, value, { updatedBy: req.user._id });
+    await collection.save();
+    releaseImages(previousImages, collectImageUrls({ images: collection.heroImages }));
+
+    res.status(200).json({
+      success: true,
+      message: "Collection updated successfully",
+      data: presentCollection(collection),
+    });
+  } catch (err) {
+    if (err instanceof RuleSyntaxError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        errors: Object.values(err.errors).map((e) => e.message),
+      });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Duplicate value for slug. Please use another one.",
+      });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: delete collection
+export const deleteCollection = async (req, res) => {
+  try {
+    const collection = await Collection.findByIdAndDelete(req.params.collectionId);
+    if (!collection) {
+      return res.status(404).json({ success: false, message: "Collection not found" });
+    }
+    releaseImages(collectImageUrls({ images: collection.heroImages }));
+
+    res.status(200).json({ success: true, message: "Collection deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
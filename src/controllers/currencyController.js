@@ -0,0 +1,115 @@
+// FILE: src/controllers/currencyController.js
+import Currency from "../models/Currency.js";
+import { baseCurrencyCode } from "../utils/currency.js";
+import {
+  validateCreateCurrency,
+  validateUpdateCurrency,
+} from "../utils/currencyValidation.js";
+
+/**
+ * Utility: format Joi errors
+ */
+const formatValidationError = (error) =>
+  error.details.map((err) => err.message);
+
+// ✅ List display currencies (shoppers: active; admins: ?all=true)
+export const listCurrencies = async (req, res) => {
+  try {
+    const query = req.userRole === "admin" && req.query.all === "true" ? {} : { isActive: true };
+    const currencies = await Currency.find(query).sort({ code: 1 });
+
+    res.status(200).json({
+      success: true,
+      base: baseCurrencyCode(),
+      data: currencies,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: add a currency with its exchange rate and rounding rule
+export const createCurrency = async (req, res) => {
+  try {
+    const { error, value } = validateCreateCurrency(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+    // the base currency always converts at 1
+    if (value.code === baseCurrencyCode()) value.rate = 1;
+
+    const currency = await Currency.create({ ...value, updatedBy: req.user._id });
+    res.status(201).json({
+      success: true,
+      message: "Currency created successfully",
+      data: currency,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ success: false, message: "Currency already exists" });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        errors: Object.values(err.errors).map((e) => e.message),
+      });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: update rate, rounding or status
+export const updateCurrency = async (req, res) => {
+  try {
+    const { error, value } = validateUpdateCurrency(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    const currency = await Currency.findOne({ code: String(req.params.code).toUpperCase() });
+    if (!currency) {
+      return res.status(404).json({ success: false, message: "Currency not found" });
+    }
+    if (currency.code === baseCurrencyCode()) delete value.rate;
+
+    const { rounding, ...rest } = value;
+    Object.assign(currency, rest, { updatedBy: req.user._id });
+    if (rounding) Object.assign(currency.rounding, rounding);
+    await currency.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Currency updated successfully",
+      data: currency,
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        errors: Object.values(err.errors).map((e) => e.message),
+      });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: delete currency (placed orders keep their recorded rate)
+export const deleteCurrency = async (req, res) => {
+  try {
+    const currency = await Currency.findOneAndDelete({
+      code: String(req.params.code).toUpperCase(),
+    });
+    if (!currency) {
+      return res.status(404).json({ success: false, message: "Currency not found" });
+    }
+    res.status(200).json({ success: true, message: "Currency deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,69 @@
+// FILE: src/controllers/feedController.js
+import FeedEntry from "../models/FeedEntry.js";
+import Category from "../models/Category.js";
+import { getLiveSales } from "../utils/salePricing.js";
+import { renderSitemap, renderFeedXml, renderFeedCsv } from "../utils/productFeed.js";
+
+// Crawlers may cache briefly; entries are rebuilt by jobs/productFeed.js
+const CACHE_CONTROL = "public, max-age=900";
+
+/**
+ * Utility: storefront origin used in <loc>/<link>.
+ * Configured, never taken from the Host header: responses are publicly cached.
+ */
+const storefrontUrl = () => process.env.STOREFRONT_URL || null;
+
+const notConfigured = (res) =>
+  res.status(503).json({ success: false, message: "STOREFRONT_URL is not configured" });
+
+/**
+ * Utility: published entries, newest first
+ */
+const loadListedEntries = () =>
+  FeedEntry.find({ listed: true }).sort({ lastmod: -1 }).lean();
+
+// ✅ sitemap.xml (products + categories)
+export const getSitemap = async (req, res) => {
+  try {
+    const baseUrl = storefrontUrl();
+    if (!baseUrl) return notConfigured(res);
+
+    const [entries, categories] = await Promise.all([
+      loadListedEntries(),
+      Category.find({ isActive: true }).select("slug updatedAt").lean(),
+    ]);
+
+    res.set("Content-Type", "application/xml; charset=utf-8");
+    res.set("Cache-Control", CACHE_CONTROL);
+    res.status(200).send(renderSitemap({ baseUrl, entries, categories }));
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Merchant product feed (/feeds/products.xml or /feeds/products.csv)
+export const getProductFeed = async (req, res) => {
+  try {
+    const baseUrl = storefrontUrl();
+    if (!baseUrl) return notConfigured(res);
+
+    const [entries, sales] = await Promise.all([loadListedEntries(), getLiveSales()]);
+    const params = {
+      baseUrl,
+      currency: process.env.FEED_CURRENCY || "INR",
+      title: process.env.FEED_TITLE || "Product feed",
+      sales,
+      entries,
+    };
+
+    res.set("Cache-Control", CACHE_CONTROL);
+    if (req.path.endsWith(".csv")) {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      return res.status(200).send(renderFeedCsv(params));
+    }
+    res.set("Content-Type", "application/xml; charset=utf-8");
+    res.status(200).send(renderFeedXml(params));
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,135 @@
+// FILE: src/controllers/inventoryController.js
+import Product from "../models/Product.js";
+import Order from "../models/Order.js";
+import StockAlert from "../models/StockAlert.js";
+import { stockUnits } from "../utils/stockAlerts.js";
+
+const SORT_FIELDS = ["daysOfCover", "stock", "unitsSold", "name"];
+
+// ✅ Low-Stock Report (admin)
+// GET /api/products/admin/low-stock?days=30&sortBy=daysOfCover&sortOrder=asc
+export const getLowStockReport = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const sortBy = SORT_FIELDS.includes(req.query.sortBy) ? req.query.sortBy : "daysOfCover";
+    const direction = req.query.sortOrder === "desc" ? -1 : 1;
+
+    // Products where the product or any variant is at/below the threshold
+    const products = await Product.find({
+      status: { $ne: "archived" },
+      $expr: {
+        $or: [
+          { $lte: ["$stock", "$lowStockThreshold"] },
+          {
+            $anyElementTrue: {
+              $map: {
+                input: { $ifNull: ["$variants", []] },
+                as: "v",
+                in: { $lte: ["$$v.stock", "$lowStockThreshold"] },
+              },
+            },
+          },
+        ],
+      },
+    })
+      .select("name sku stock lowStockThreshold variants status")
+      .lean();
+
+    // Units sold in the window, per SKU and per product (older lines have no SKU)
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const sales = await Order.aggregate([
+      {
+        $match: {
+          status: { $nin: ["cancelled", "refunded"] },
+          createdAt: { $gte: since },
+          "items.product": { $in: products.map((p) => p._id) },
+        },
+      },
+      { $unwind: "$items" },
+      {
+        $group: {
+          _id: { product: "$items.product", sku: "$items.sku" },
+          units: { $sum: "$items.quantity" },
+        },
+      },
+    ]);
+
+    const soldBySku = new Map();
+    const soldByProduct = new Map();
+    for (const s of sales) {
+      const productKey = String(s._id.product);
+      soldByProduct.set(productKey, (soldByProduct.get(productKey) || 0) + s.units);
+      if (s._id.sku) soldBySku.set(`${productKey}:${s._id.sku}`, s.units);
+    }
+
+    const rows = [];
+    for (const product of products) {
+      const threshold = Number(product.lowStockThreshold ?? 5);
+      const hasVariants = product.variants?.length > 0;
+
+      for (const unit of stockUnits(product)) {
+        if (unit.stock > threshold) continue;
+        const unitsSold = hasVariants
+          ? soldBySku.get(`${product._id}:${unit.sku}`) || 0
+          : soldByProduct.get(String(product._id)) || 0;
+        const dailyRate = unitsSold / days;
+
+        rows.push({
+          product: product._id,
+          name: product.name,
+          status: product.status,
+          sku: unit.sku,
+          size: unit.size,
+          color: unit.color,
+          stock: unit.stock,
+          threshold,
+          unitsSold,
+          dailyRate: Math.round(dailyRate * 100) / 100,
+          // null = no recent sales, so no projected stock-out
+          daysOfCover: dailyRate > 0 ? Math.round((unit.stock / dailyRate) * 10) / 10 : null,
+        });
+      }
+    }
+
+    rows.sort((a, b) => {
+      const x = a[sortBy];
+      const y = b[sortBy];
+      if (x === y) return 0;
+      if (x === null) return 1; // nulls last either way
+      if (y === null) return -1;
+      return (x > y ? 1 : -1) * direction;
+    });
+
+    res.status(200).json({ success: true, days, total: rows.length, data: rows });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Stock Alerts (admin) ?status=open|resolved
+export const listStockAlerts = async (req, res) => {
+  try {
+    const { status = "open", page = 1, limit = 25 } = req.query;
+    const pageNumber = parseInt(page, 10) || 1;
+    const limitNumber = parseInt(limit, 10) || 25;
+    const query = ["open", "resolved"].includes(status) ? { status } : {};
+
+    const [alerts, total] = await Promise.all([
+      StockAlert.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber),
+      StockAlert.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / limitNumber),
+      data: alerts,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
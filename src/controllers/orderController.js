@@ -5,6 +5,27 @@ import Order from "../models/Order.js";
 import Cart from "../models/Cart.js";
 import Product from "../models/Product.js";
 import User from "../models/User.js";
+import Bundle from "../models/Bundle.js";
+import Review from "../models/Review.js";
+import { getLiveSales, resolveSalePrice } from "../utils/salePricing.js";
+import { checkLowStock } from "../utils/stockAlerts.js";
+import { allocateBackorders } from "../utils/backorders.js";
+import { cursorPaginate, InvalidCursorError } from "../utils/cursorPagination.js";
+import {
+  stockKey,
+  resolveBundleItems,
+  findBundleShortfall,
+  allocateBundlePrice,
+} from "../utils/bundles.js";
+import {
+  resolveCurrency,
+  resolveRequestCurrency,
+  requestedCurrencyCode,
+  recordedCurrency,
+  displayOrder,
+  currencyInfo,
+  UnsupportedCurrencyError,
+} from "../utils/currency.js";
 
 /** ===============================
  * Validation schema for placing an order
@@ -23,8 +44,20 @@ const placeOrderSchema = Joi.object({
   paymentMethod: Joi.string().valid("COD").default("COD"),
   shippingMethod: Joi.string().valid("standard", "express").default("standard"),
   notes: Joi.string().max(1000).optional(),
+  // display currency the shopper checked out in (?currency= / X-Currency also work)
+  currency: Joi.string().trim().uppercase().length(3).optional(),
 });
 
+/** ===============================
+ * Helpers
+ * =============================== */
+// Order JSON plus amounts in the requested currency, or the one it was placed in
+const presentOrder = (order, currency) => {
+  const obj = order.toObject ? order.toObject() : order;
+  const target = currency || recordedCurrency(order);
+  return target ? { ...obj, display: displayOrder(order, target) } : obj;
+};
+
 /** ===============================
  * Place Order: POST /api/orders
  * =============================== */
@@ -41,6 +74,17 @@ export const placeOrder = async (req, res) => {
 
   const { shippingAddress, billingAddress, paymentMethod, shippingMethod, notes } = value;
 
+  let displayCurrency;
+  try {
+    displayCurrency = await resolveCurrency(value.currency || requestedCurrencyCode(req));
+  } catch (err) {
+    if (err instanceof UnsupportedCurrencyError) {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error("Place order error:", err);
+    return res.status(500).json({ message: "Server error while placing order" });
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -55,47 +99,130 @@ export const placeOrder = async (req, res) => {
       return res.status(400).json({ message: "Cart is empty" });
     }
 
-    // Prepare order items & validate stock
+    // Prepare order items & validate stock (prices resolved now, not from cart)
+    const sales = await getLiveSales();
     const orderItems = [];
+    const reserved = new Map(); // stock already claimed by earlier lines, per SKU
     for (const it of cart.items) {
-      const product = await Product.findById(it.product._id).session(session);
+      // Bundles become one line per component, sharing the bundle price
+      if (it.bundle) {
+        const bundle = await Bundle.findById(it.bundle).session(session);
+        if (!bundle || !bundle.isLive()) {
+          await session.abortTransaction();
+          session.endSession();
+          return res.status(400).json({ message: "A bundle in your cart is no longer offered" });
+        }
+
+        const { items, errors } = await resolveBundleItems(bundle, it.bundleItems, { session });
+        const shortfall = errors[0] || findBundleShortfall(items, it.quantity, reserved);
+        if (shortfall) {
+          await session.abortTransaction();
+          session.endSession();
+          return res.status(400).json({ message: `${bundle.name}: ${shortfall}` });
+        }
+
+        const shares = allocateBundlePrice(bundle.price, items);
+        items.forEach((item, idx) => {
+          const { product } = item;
+          const variant = product.findVariant(item.size, item.color);
+          const color = product.findColor(item.color);
+          const quantity = item.quantity * it.quantity;
+          const key = stockKey(product, item.size, item.color);
+          reserved.set(key, (reserved.get(key) || 0) + quantity);
+
+          const lineTotal = Math.round(shares[idx] * it.quantity * 100) / 100;
+          orderItems.push({
+            product: product._id,
+            productName: product.name,
+            sku: variant?.sku || product.sku,
+            size: item.size || null,
+            color: color?.name,
+            colorHex: color?.hex,
+            image: product.imagesFor(item.color)[0]?.url,
+            quantity,
+            price: Math.round((lineTotal / quantity) * 100) / 100,
+            regularPrice: product.priceFor(item.size, item.color),
+            lineTotal,
+            backorderedQuantity: 0,
+            bundle: bundle._id,
+            bundleName: bundle.name,
+            bundleGroup: String(it._id),
+            bundleQuantity: it.quantity,
+          });
+        });
+        continue;
+      }
+
+      const product = await Product.findById(it.product?._id).session(session);
       if (!product) {
         await session.abortTransaction();
         session.endSession();
-        return res.status(404).json({ message: `Product ${it.product._id} not found` });
+        return res.status(404).json({ message: `Product ${it.product?._id || ""} not found` });
+      }
+      if (!product.isAvailable()) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({ message: `${product.name} is no longer available` });
       }
 
-      const currentStock = product.stock || 0;
-      const snapshotPrice =
-        Number(it.price) ||
-        Number(product.finalPrice) ||
-        Number(product.price) ||
-        0;
+      const variant = product.findVariant(it.size, it.color);
+      const color = product.findColor(it.color);
+      if ((product.hasVariants() && !variant) || (it.color && !color)) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          message: `Selected size/colour is no longer available for ${product.name}`,
+        });
+      }
+
+      const key = stockKey(product, it.size, it.color);
+      const currentStock = Math.max(
+        0,
+        product.availableStock(it.size, it.color) - (reserved.get(key) || 0)
+      );
+      const pricing = resolveSalePrice(product, sales, it.size, it.color);
+      const snapshotPrice = Number(pricing.price) || 0;
 
-      if ((it.quantity || 0) > currentStock) {
+      if ((it.quantity || 0) > currentStock && !product.allowBackorder) {
         await session.abortTransaction();
         session.endSession();
         return res.status(400).json({
-          message: `Insufficient stock for ${product.name}. Requested ${it.quantity}, available ${currentStock}`,
+          message: `Insufficient stock for ${product.name}${it.size ? ` (${it.size})` : ""}. Requested ${it.quantity}, available ${currentStock}`,
         });
       }
 
+      const fromStock = Math.min(it.quantity, currentStock);
+      const backorderedQuantity = it.quantity - fromStock;
+      reserved.set(key, (reserved.get(key) || 0) + fromStock);
+
       // Snapshot line
       const lineTotal = Math.round(snapshotPrice * it.quantity * 100) / 100;
       orderItems.push({
         product: product._id,
         productName: product.name,
+        sku: variant?.sku || product.sku,
         size: it.size || null,
+        color: color?.name,
+        colorHex: color?.hex,
+        image: product.imagesFor(it.color)[0]?.url,
         quantity: it.quantity,
         price: snapshotPrice,
+        regularPrice: pricing.regularPrice,
+        sale: pricing.sale?._id,
         lineTotal,
+        backorderedQuantity,
+        expectedShipDate: backorderedQuantity
+          ? product.expectedBackorderShipDate()
+          : undefined,
       });
     }
 
-    // Deduct stock
-    for (const it of cart.items) {
-      const product = await Product.findById(it.product._id).session(session);
-      product.stock = Math.max(0, (product.stock || 0) - it.quantity);
+    // Deduct stock (only what is on hand; backordered units are allocated on restock)
+    for (const line of orderItems) {
+      const fromStock = line.quantity - line.backorderedQuantity;
+      if (fromStock <= 0) continue;
+      const product = await Product.findById(line.product).session(session);
+      product.adjustStock(line.size, -fromStock, line.color);
       await product.save({ session });
     }
 
@@ -116,6 +243,10 @@ export const placeOrder = async (req, res) => {
       },
       status: "pending",
       notes: notes || "",
+      // settled in the base currency; rate/rounding recorded for the shopper's view
+      displayCurrency: displayCurrency.code,
+      exchangeRate: displayCurrency.rate,
+      currencyRounding: { ...displayCurrency.rounding, decimals: displayCurrency.decimals },
     });
 
     // Fallback shipping address from user profile
@@ -146,8 +277,11 @@ export const placeOrder = async (req, res) => {
     await session.commitTransaction();
     session.endSession();
 
+    // Fire-and-forget: alerts/emails must not delay or fail the order
+    checkLowStock(orderItems.map((i) => i.product));
+
     const populatedOrder = await Order.findById(order._id).populate("user", "-passwordHash");
-    return res.status(201).json({ message: "Order placed", order: populatedOrder });
+    return res.status(201).json({ message: "Order placed", order: presentOrder(populatedOrder) });
   } catch (err) {
     console.error("Place order error:", err);
     try {
@@ -166,9 +300,16 @@ export const placeOrder = async (req, res) => {
 export const getUserOrders = async (req, res) => {
   const userId = req.user._id;
   try {
+    const currency = await resolveRequestCurrency(req);
     const orders = await Order.find({ user: userId }).sort({ createdAt: -1 });
-    return res.json({ orders });
+    return res.json({
+      orders: orders.map((o) => presentOrder(o, currency)),
+      ...(currency && { currency: currencyInfo(currency) }),
+    });
   } catch (err) {
+    if (err instanceof UnsupportedCurrencyError) {
+      return res.status(400).json({ message: err.message });
+    }
     console.error("Get user orders error:", err);
     return res.status(500).json({ message: "Server error while fetching orders" });
   }
@@ -187,22 +328,42 @@ export const getOrderById = async (req, res) => {
       return res.status(403).json({ message: "Not authorized to view this order" });
     }
 
-    return res.json({ order });
+    const currency = await resolveRequestCurrency(req);
+    return res.json({ order: presentOrder(order, currency) });
   } catch (err) {
+    if (err instanceof UnsupportedCurrencyError) {
+      return res.status(400).json({ message: err.message });
+    }
     console.error("Get order by id error:", err);
     return res.status(500).json({ message: "Server error while fetching order" });
   }
 };
 
 /** ===============================
- * ADMIN: List all orders
+ * ADMIN: List all orders (page numbers, or ?cursor= / ?paginate=cursor)
  * =============================== */
 export const adminListOrders = async (req, res) => {
-  const { status, page = 1, limit = 25 } = req.query;
+  const { status, page = 1, limit = 25, cursor, paginate } = req.query;
   const q = {};
   if (status) q.status = status;
 
   try {
+    const currency = await resolveRequestCurrency(req);
+    const present = (orders) => orders.map((o) => presentOrder(o, currency));
+
+    if (cursor || paginate === "cursor") {
+      const limitNumber = Math.min(Math.max(1, Number(limit) || 25), 100);
+      const { docs, nextCursor, prevCursor } = await cursorPaginate(Order, {
+        filter: q,
+        sortField: "createdAt",
+        sortOrder: -1,
+        limit: limitNumber,
+        cursor,
+        decorate: (query) => query.populate("user", "-passwordHash"),
+      });
+      return res.json({ orders: present(docs), nextCursor, prevCursor, limit: limitNumber });
+    }
+
     const skip = (Math.max(0, Number(page) - 1)) * Number(limit);
     const orders = await Order.find(q)
       .sort({ createdAt: -1 })
@@ -210,8 +371,11 @@ export const adminListOrders = async (req, res) => {
       .limit(Number(limit))
       .populate("user", "-passwordHash");
     const total = await Order.countDocuments(q);
-    return res.json({ orders, total, page: Number(page), limit: Number(limit) });
+    return res.json({ orders: present(orders), total, page: Number(page), limit: Number(limit) });
   } catch (err) {
+    if (err instanceof InvalidCursorError || err instanceof UnsupportedCurrencyError) {
+      return res.status(400).json({ message: err.message });
+    }
     console.error("Admin list orders error:", err);
     return res.status(500).json({ message: "Server error while listing orders" });
   }
@@ -239,6 +403,15 @@ export const updateOrderStatus = async (req, res) => {
     const order = await Order.findById(orderId);
     if (!order) return res.status(404).json({ message: "Order not found" });
 
+    if (
+      ["shipped", "out_for_delivery", "delivered"].includes(value.status) &&
+      order.hasPendingBackorders()
+    ) {
+      return res.status(400).json({
+        message: "Order has backordered items awaiting stock and cannot ship yet",
+      });
+    }
+
     order.status = value.status;
     if (value.trackingNumber) order.trackingNumber = value.trackingNumber;
     if (value.shippingCarrier) order.shippingCarrier = value.shippingCarrier;
@@ -250,6 +423,14 @@ export const updateOrderStatus = async (req, res) => {
     }
 
     await order.save();
+
+    // the customer's reviews of these products now count as verified purchases
+    if (value.status === "delivered") {
+      Review.markVerifiedPurchases(order.user, order.items.map((it) => it.product)).catch((err) =>
+        console.error("Verified-purchase review update failed:", err?.message || err)
+      );
+    }
+
     return res.json({ message: "Order status updated", order });
   } catch (err) {
     console.error("Update order status error:", err);
@@ -287,11 +468,13 @@ export const cancelOrder = async (req, res) => {
       return res.status(400).json({ message: "Cannot cancel order at this stage" });
     }
 
-    // Restore stock
+    // Restore stock (units still backordered were never taken from stock)
     for (const it of order.items) {
+      const taken = it.quantity - (Number(it.backorderedQuantity) || 0);
+      if (taken <= 0) continue;
       const product = await Product.findById(it.product).session(session);
       if (!product) continue;
-      product.stock = (product.stock || 0) + it.quantity;
+      product.adjustStock(it.size, taken, it.color);
       await product.save({ session });
     }
 
@@ -301,6 +484,10 @@ export const cancelOrder = async (req, res) => {
     await session.commitTransaction();
     session.endSession();
 
+    // restored stock may fill other backorders and resolve low-stock alerts
+    const restockedIds = order.items.map((i) => i.product);
+    allocateBackorders(restockedIds).then(() => checkLowStock(restockedIds));
+
     return res.json({ message: "Order cancelled", order });
   } catch (err) {
     console.error("Cancel order error:", err);
@@ -1,14 +1,33 @@
 // FILE: src/controllers/productController.js
 import Product from "../models/Product.js";
+import ProductRevision from "../models/ProductRevision.js";
+import ProductAssociation from "../models/ProductAssociation.js";
+import Bundle from "../models/Bundle.js";
 import {
   validateCreateProduct,
   validateUpdateProduct,
+  validateVariantStock,
+  validateProductCategories,
 } from "../utils/productValidation.js";
 
+import { getLiveSales, salePricingFields } from "../utils/salePricing.js";
+import { recordProductChange, toTrackedState, toRevertState } from "../utils/productHistory.js";
+import { checkLowStock } from "../utils/stockAlerts.js";
+import { allocateBackorders } from "../utils/backorders.js";
+import { cursorPaginate, InvalidCursorError } from "../utils/cursorPagination.js";
 import {
-  validateCreateReview,
-  validateUpdateReview,
-} from "../utils/reviewValidation.js";
+  resolveRequestCurrency,
+  displayProductPrices,
+  currencyInfo,
+  UnsupportedCurrencyError,
+} from "../utils/currency.js";
+import { resolveLocale, setLocaleHeaders, localize } from "../utils/locale.js";
+import {
+  expandSearch,
+  buildSearchFilter,
+  rankProducts,
+  findSearchCandidates,
+} from "../utils/productSearch.js";
 
 /**
  * Utility: format Joi errors
@@ -16,6 +35,189 @@ import {
 const formatValidationError = (error) =>
   error.details.map((err) => err.message);
 
+/**
+ * Utility: product response fields in the request's language, with prices
+ * in the requested currency (stored prices stay in the base currency)
+ */
+const presentProduct = (product, { sales, currency, locale, req }) => {
+  const json = localize(
+    { ...product.toJSON(), ...salePricingFields(product, sales) },
+    locale,
+    { keepTranslations: req.userRole === "admin" }
+  );
+  if (currency) json.display = displayProductPrices(json, currency);
+  return json;
+};
+
+/**
+ * Utility: escape user input for use inside a RegExp
+ */
+const escapeRegex = (text = "") =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const splitList = (value = "") =>
+  String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+/**
+ * Utility: build the Mongo filter shared by listing and facet endpoints
+ * (free-text `search` is handled by resolveProductQuery)
+ */
+const buildProductFilter = (params = {}) => {
+  const {
+    category,
+    subCategory,
+    tags,
+    gender,
+    brand,
+    size,
+    material,
+    season,
+    color,
+    priceRange,
+  } = params;
+
+  const query = {};
+
+  if (category) query.category = category;
+  if (subCategory) query.subCategory = subCategory;
+  if (gender) query.gender = gender;
+  if (brand) query.brand = { $in: splitList(brand) };
+  if (size) query.sizes = { $in: splitList(size) };
+  if (material) query.material = { $in: splitList(material) };
+  if (season) query.season = { $in: splitList(season) };
+
+  if (tags) {
+    const tagsArray = tags.split(",").map((t) => t.trim().toLowerCase());
+    query.tags = { $in: tagsArray };
+  }
+
+  // e.g. ?color=Navy,Olive (case-insensitive exact names)
+  if (color) {
+    const colorMatchers = splitList(color).map(
+      (c) => new RegExp(`^${escapeRegex(c)}$`, "i")
+    );
+    if (colorMatchers.length) query["colors.name"] = { $in: colorMatchers };
+  }
+
+  // --- Price range buckets ---
+  if (priceRange) {
+    if (priceRange.startsWith("below-")) {
+      const val = Number(priceRange.split("-")[1]);
+      if (!isNaN(val)) {
+        query.finalPrice = { $lt: val };
+      }
+    } else if (priceRange.startsWith("above-")) {
+      const val = Number(priceRange.split("-")[1]);
+      if (!isNaN(val)) {
+        query.finalPrice = { $gt: val };
+      }
+    } else if (priceRange.endsWith("+")) {
+      // e.g. "10000+" → >= 10000
+      const val = Number(priceRange.replace("+", ""));
+      if (!isNaN(val)) {
+        query.finalPrice = { $gte: val };
+      }
+    } else if (priceRange.includes("-")) {
+      // half-open like the price facet buckets: 500-1000 → [500, 1000)
+      const [min, max] = priceRange.split("-").map(Number);
+      if (!isNaN(min) && !isNaN(max)) {
+        query.finalPrice = { $gte: min, $lt: max };
+      }
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Utility: shoppers only see active products; admins see every state
+ * and may narrow with ?status=draft|active|archived
+ */
+const visibilityFilter = (req) => {
+  if (req.userRole !== "admin") return Product.publicFilter();
+  const { status } = req.query;
+  return ["draft", "active", "archived"].includes(status) ? { status } : {};
+};
+
+/**
+ * Utility: full listing filter, including the expanded search terms
+ * @returns {Promise<{ query: object, expansion: object|null }>}
+ */
+const resolveProductQuery = async (req) => {
+  const query = { ...buildProductFilter(req.query), ...visibilityFilter(req) };
+  const search = String(req.query.search || "").trim();
+  if (!search) return { query, expansion: null };
+
+  const expansion = await expandSearch(search);
+  if (!expansion.tokens.length) return { query, expansion: null };
+  return { query: { ...query, ...buildSearchFilter(expansion) }, expansion };
+};
+
+// Price facet boundaries; labels use the same syntax `priceRange` accepts
+const PRICE_BUCKET_BOUNDARIES = [0, 500, 1000, 2000, 5000, 10000];
+
+const priceBucketLabel = (lowerBound) => {
+  if (lowerBound === "overflow") {
+    return `${PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1]}+`;
+  }
+  const idx = PRICE_BUCKET_BOUNDARIES.indexOf(lowerBound);
+  if (idx === 0) return `below-${PRICE_BUCKET_BOUNDARIES[1]}`;
+  return `${lowerBound}-${PRICE_BUCKET_BOUNDARIES[idx + 1]}`;
+};
+
+// unwind: array to unwind first — the array itself, not a path through it
+// ("colors", then group on "colors.name")
+const countBy = (field, { unwind } = {}) => [
+  ...(unwind ? [{ $unwind: `$${unwind}` }] : []),
+  { $match: { [field]: { $nin: [null, ""] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+/**
+ * Utility: facet counts for the given filter in a single aggregation
+ */
+const computeFacets = async (query) => {
+  const [result] = await Product.aggregate([
+    { $match: query },
+    {
+      $facet: {
+        category: countBy("category"),
+        subCategory: countBy("subCategory"),
+        brand: countBy("brand"),
+        size: countBy("sizes", { unwind: "sizes" }),
+        color: countBy("colors.name", { unwind: "colors" }),
+        material: countBy("material"),
+        gender: countBy("gender"),
+        season: countBy("season"),
+        price: [
+          { $match: { finalPrice: { $type: "number" } } },
+          {
+            $bucket: {
+              groupBy: "$finalPrice",
+              boundaries: PRICE_BUCKET_BOUNDARIES,
+              default: "overflow",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    ...result,
+    price: (result?.price || []).map((b) => ({
+      value: priceBucketLabel(b._id),
+      count: b.count,
+    })),
+  };
+};
+
 // ✅ Create Product
 export const createProduct = async (req, res) => {
   try {
@@ -27,10 +229,21 @@ export const createProduct = async (req, res) => {
       });
     }
 
+    const categoryErrors = await validateProductCategories(value);
+    if (categoryErrors.length) {
+      return res.status(400).json({ success: false, errors: categoryErrors });
+    }
+
     // model pre-save will handle slug, sku, finalPrice, and uniqueness
-    const product = new Product(value);
+    const product = new Product({
+      ...value,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
     await product.save();
 
+    await recordProductChange({ product, action: "create", actor: req.user._id });
+
     res.status(201).json({
       success: true,
       message: "Product created successfully",
@@ -48,59 +261,26 @@ export const createProduct = async (req, res) => {
   }
 };
 
-// ✅ Get All Products (filters, pagination, sorting)
+// Sort keys accepted for cursor pagination
+const CURSOR_SORT_FIELDS = ["createdAt", "updatedAt", "finalPrice", "price", "ratings.average", "name"];
+
+// ✅ Get All Products (filters, page or cursor pagination, sorting)
 export const getAllProducts = async (req, res) => {
   try {
     const {
-      search,
-      category,
-      subCategory,
-      tags,
-      gender,
-      priceRange,   
       sortBy,
       sortOrder,
       page = 1,
       limit = 10,
+      facets,
+      cursor,
+      paginate,
     } = req.query;
 
-    const query = {};
-
-    if (search) query.$text = { $search: search };
-    if (category) query.category = category;
-    if (subCategory) query.subCategory = subCategory;
-    if (gender) query.gender = gender;
-
-    if (tags) {
-      const tagsArray = tags.split(",").map((t) => t.trim().toLowerCase());
-      query.tags = { $in: tagsArray };
-    }
-
-    // --- Price range buckets ---
-    if (priceRange) {
-      if (priceRange.startsWith("below-")) {
-        const val = Number(priceRange.split("-")[1]);
-        if (!isNaN(val)) {
-          query.finalPrice = { $lt: val };
-        }
-      } else if (priceRange.startsWith("above-")) {
-        const val = Number(priceRange.split("-")[1]);
-        if (!isNaN(val)) {
-          query.finalPrice = { $gt: val };
-        }
-      } else if (priceRange.endsWith("+")) {
-        // e.g. "10000+" → >= 10000
-        const val = Number(priceRange.replace("+", ""));
-        if (!isNaN(val)) {
-          query.finalPrice = { $gte: val };
-        }
-      } else if (priceRange.includes("-")) {
-        const [min, max] = priceRange.split("-").map(Number);
-        if (!isNaN(min) && !isNaN(max)) {
-          query.finalPrice = { $gte: min, $lte: max };
-        }
-      }
-    }
+    const { query, expansion } = await resolveProductQuery(req);
+    const currency = await resolveRequestCurrency(req);
+    const locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
 
     // --- Pagination & Sorting ---
     const pageNumber = parseInt(page, 10) || 1;
@@ -108,34 +288,94 @@ export const getAllProducts = async (req, res) => {
     const skip = (pageNumber - 1) * limitNumber;
 
     let sort = { createdAt: -1 };
-    if (sortBy) {
+    if (sortBy && sortBy !== "relevance") {
       const order = sortOrder === "asc" ? 1 : -1;
       sort = { [sortBy]: order };
     }
 
-    const [products, total] = await Promise.all([
-      Product.find(query).sort(sort).skip(skip).limit(limitNumber),
+    // --- Cursor mode: ?cursor=... or ?paginate=cursor for the first page ---
+    if (cursor || paginate === "cursor") {
+      const [sortField, order] = Object.entries(sort)[0];
+      if (sortBy === "relevance" || !CURSOR_SORT_FIELDS.includes(sortField)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cursor pagination supports sortBy: ${CURSOR_SORT_FIELDS.join(", ")}`,
+        });
+      }
+
+      const [{ docs, nextCursor, prevCursor }, facetCounts, sales] = await Promise.all([
+        cursorPaginate(Product, {
+          filter: query,
+          sortField,
+          sortOrder: order,
+          limit: Math.min(limitNumber, 100),
+          cursor,
+        }),
+        facets === "true" ? computeFacets(query) : null,
+        getLiveSales(),
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        limit: Math.min(limitNumber, 100),
+        nextCursor,
+        prevCursor,
+        data: docs.map((p) => presentProduct(p, { sales, currency, locale, req })),
+        ...(facetCounts && { facets: facetCounts }),
+        ...(currency && { currency: currencyInfo(currency) }),
+      });
+    }
+
+    // --- Searches rank by relevance unless another sort is requested ---
+    const byRelevance = expansion && (!sortBy || sortBy === "relevance");
+
+    const [products, total, facetCounts, sales] = await Promise.all([
+      byRelevance
+        ? findSearchCandidates(query, expansion).then((candidates) =>
+            rankProducts(candidates, expansion)
+          )
+        : Product.find(query).sort(sort).skip(skip).limit(limitNumber),
       Product.countDocuments(query),
+      facets === "true" ? computeFacets(query) : null,
+      getLiveSales(),
     ]);
 
-    // --- Inject isInWishlist ---
-    let wishlistIds = [];
-    if (req.user && req.user.wishlist) {
-      wishlistIds = req.user.wishlist.map((id) => String(id));
+    let pageItems = byRelevance ? products.slice(skip, skip + limitNumber) : products;
+    // only the first MAX_SEARCH_CANDIDATES matches are ranked; later pages
+    // continue with the remaining matches, newest first
+    const rankingCapped = byRelevance && total > products.length;
+    if (rankingCapped && pageItems.length < limitNumber) {
+      const rest = await Product.find({ ...query, _id: { $nin: products.map((p) => p._id) } })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(Math.max(0, skip - products.length))
+        .limit(limitNumber - pageItems.length);
+      pageItems = [...pageItems, ...rest];
     }
 
-    const productsWithWishlist = products.map((p) => ({
-      ...p.toObject(),
-      isInWishlist: wishlistIds.includes(String(p._id)),
-    }));
-
     res.status(200).json({
       success: true,
       total,
       page: pageNumber,
       pages: Math.ceil(total / limitNumber),
-      data: products,
+      ...(byRelevance && { relevance: { ranked: products.length, capped: rankingCapped } }),
+      data: pageItems.map((p) => presentProduct(p, { sales, currency, locale, req })),
+      ...(facetCounts && { facets: facetCounts }),
+      ...(currency && { currency: currencyInfo(currency) }),
     });
+  } catch (err) {
+    if (err instanceof InvalidCursorError || err instanceof UnsupportedCurrencyError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Get Facet Counts for the current filter set
+export const getProductFacets = async (req, res) => {
+  try {
+    const { query } = await resolveProductQuery(req);
+    const facets = await computeFacets(query);
+    res.status(200).json({ success: true, data: facets });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
@@ -144,14 +384,28 @@ export const getAllProducts = async (req, res) => {
 // ✅ Get Single Product by ID
 export const getProductById = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.productId);
+    const product = await Product.findOne({
+      _id: req.params.productId,
+      ...visibilityFilter(req),
+    });
     if (!product) {
       return res
         .status(404)
         .json({ success: false, message: "Product not found" });
     }
-    res.status(200).json({ success: true, data: product });
+
+    const [sales, currency] = await Promise.all([getLiveSales(), resolveRequestCurrency(req)]);
+    const locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
+    res.status(200).json({
+      success: true,
+      data: presentProduct(product, { sales, currency, locale, req }),
+      ...(currency && { currency: currencyInfo(currency) }),
+    });
   } catch (err) {
+    if (err instanceof UnsupportedCurrencyError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, message: err.message });
   }
 };
@@ -161,6 +415,7 @@ export const getProductBySlug = async (req, res) => {
   try {
     const product = await Product.findOne({
       slug: String(req.params.slug || "").toLowerCase(),
+      ...visibilityFilter(req),
     });
     if (!product) {
       return res.status(404).json({ success: false, message: "Product not found" });
@@ -171,11 +426,25 @@ export const getProductBySlug = async (req, res) => {
       isInWishlist = req.user.wishlist.some((id) => String(id) === String(product._id));
     }
 
+    const [sales, currency] = await Promise.all([getLiveSales(), resolveRequestCurrency(req)]);
+    const locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
+    const data = localize(
+      { ...product.toObject({ flattenMaps: true }), ...salePricingFields(product, sales), isInWishlist },
+      locale,
+      { keepTranslations: req.userRole === "admin" }
+    );
+    if (currency) data.display = displayProductPrices(data, currency);
+
     res.status(200).json({
       success: true,
-      data: { ...product.toObject(), isInWishlist },
+      data,
+      ...(currency && { currency: currencyInfo(currency) }),
     });
   } catch (err) {
+    if (err instanceof UnsupportedCurrencyError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, message: err.message });
   }
 };
@@ -189,14 +458,41 @@ export const getProductSuggestions = async (req, res) => {
       return res.json({ success: true, data: [] });
     }
 
-    // Return name, slug, and only the first image object
-    const suggestions = await Product.find(
-      { name: { $regex: q, $options: "i" } },
-      { name: 1, slug: 1, images: { $slice: 1 } } // projection to limit payload
+    const expansion = await expandSearch(q);
+    if (!expansion.tokens.length) {
+      return res.json({ success: true, data: [] });
+    }
+
+    // Fetch ranking fields, then return name, slug, and only the first image object
+    const candidates = await Product.find(
+      { ...buildSearchFilter(expansion), ...Product.publicFilter() },
+      {
+        name: 1,
+        slug: 1,
+        images: { $slice: 1 },
+        brand: 1,
+        category: 1,
+        subCategory: 1,
+        tags: 1,
+        "colors.name": 1,
+        material: 1,
+        stock: 1,
+        allowBackorder: 1,
+        ratings: 1,
+        createdAt: 1,
+        translations: 1,
+      }
     )
-      .limit(10)
+      .limit(100)
       .lean();
 
+    const locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
+    const suggestions = rankProducts(candidates, expansion)
+      .slice(0, 10)
+      .map((p) => localize(p, locale))
+      .map(({ _id, name, slug, images }) => ({ _id, name, slug, images }));
+
     // --- Inject isInWishlist ---
     let wishlistIds = [];
     if (req.user && req.user.wishlist) {
@@ -214,6 +510,90 @@ export const getProductSuggestions = async (req, res) => {
   }
 };
 
+/**
+ * Utility: rank candidates by attribute overlap with the source product
+ */
+const similarityScore = (source, candidate) => {
+  let score = 0;
+  if (source.subCategory && candidate.subCategory === source.subCategory) score += 3;
+  if (candidate.category === source.category) score += 2;
+  if (source.brand && candidate.brand === source.brand) score += 1;
+  const tags = new Set(source.tags || []);
+  score += (candidate.tags || []).filter((t) => tags.has(t)).length;
+  return score;
+};
+
+// ✅ Related Products: bought together first, then similar items
+export const getRelatedProducts = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 8, 24);
+    const source = await Product.findOne({
+      _id: req.params.productId,
+      ...Product.publicFilter(),
+    });
+    if (!source) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Product not found" });
+    }
+
+    // --- Order co-occurrence (precomputed) ---
+    const association = await ProductAssociation.findOne({
+      product: source._id,
+    }).lean();
+    const boughtWith = association?.boughtWith || [];
+    const coIds = boughtWith.map((b) => b.product);
+    const coProducts = coIds.length
+      ? await Product.find({ _id: { $in: coIds }, ...Product.publicFilter() })
+      : [];
+    const coById = new Map(coProducts.map((p) => [String(p._id), p]));
+
+    const related = boughtWith
+      .filter((b) => coById.has(String(b.product)))
+      .slice(0, limit)
+      .map((b) => ({
+        product: coById.get(String(b.product)),
+        reason: "bought_together",
+        confidence: b.confidence,
+      }));
+
+    // --- Fallback: category / tag / brand similarity ---
+    if (related.length < limit) {
+      const exclude = [source._id, ...related.map((r) => r.product._id)];
+      const or = [{ category: source.category }];
+      if (source.tags?.length) or.push({ tags: { $in: source.tags } });
+      if (source.brand) or.push({ brand: source.brand });
+
+      const candidates = await Product.find({
+        _id: { $nin: exclude },
+        ...Product.publicFilter(),
+        $or: or,
+      })
+        .sort({ "ratings.average": -1 })
+        .limit(50);
+
+      candidates
+        .map((p) => ({ product: p, score: similarityScore(source, p) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit - related.length)
+        .forEach(({ product }) => related.push({ product, reason: "similar" }));
+    }
+
+    const sales = await getLiveSales();
+    const locale = resolveLocale(req);
+    setLocaleHeaders(res, locale);
+    res.status(200).json({
+      success: true,
+      data: related.map(({ product, ...meta }) => ({
+        ...localize({ ...product.toJSON(), ...salePricingFields(product, sales) }, locale),
+        ...meta,
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
 // ✅ Update Product
 export const updateProduct = async (req, res) => {
   try {
@@ -229,9 +609,23 @@ export const updateProduct = async (req, res) => {
     if ("slug" in value) delete value.slug;
     if ("sku" in value) delete value.sku;
 
+    const current = await Product.findById(req.params.productId).lean();
+    if (!current) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Product not found" });
+    }
+
+    if ("category" in value || "subCategory" in value) {
+      const categoryErrors = await validateProductCategories(value, current);
+      if (categoryErrors.length) {
+        return res.status(400).json({ success: false, errors: categoryErrors });
+      }
+    }
+
     const product = await Product.findByIdAndUpdate(
       req.params.productId,
-      { $set: value },
+      { $set: { ...value, updatedBy: req.user._id } },
       { new: true, runValidators: true, context: "query" }
     );
 
@@ -241,6 +635,15 @@ export const updateProduct = async (req, res) => {
         .json({ success: false, message: "Product not found" });
     }
 
+    await recordProductChange({
+      product,
+      before: current,
+      action: "update",
+      actor: req.user._id,
+    });
+    // restock may fill waiting backorders before thresholds are checked
+    allocateBackorders([product._id]).then(() => checkLowStock([product._id]));
+
     res.status(200).json({
       success: true,
       message: "Product updated successfully",
@@ -258,52 +661,72 @@ export const updateProduct = async (req, res) => {
   }
 };
 
-// ✅ Delete Product
+// ✅ Delete Product (soft: archive so order history keeps its links)
 export const deleteProduct = async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.productId);
-    if (!product) {
+    const before = await Product.findById(req.params.productId).lean();
+    if (!before) {
       return res
         .status(404)
         .json({ success: false, message: "Product not found" });
     }
 
+    const product = await Product.findByIdAndUpdate(
+      req.params.productId,
+      { $set: { status: "archived", updatedBy: req.user._id } },
+      { new: true }
+    );
+
+    await recordProductChange({
+      product,
+      before,
+      action: "archive",
+      actor: req.user._id,
+    });
+
     res.status(200).json({
       success: true,
-      message: "Product deleted successfully",
+      message: "Product archived successfully",
+      data: product,
     });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
 };
 
-// ✅ Add Review
-export const addReview = async (req, res) => {
+// ✅ Restore Archived Product
+export const restoreProduct = async (req, res) => {
   try {
-    const { error, value } = validateCreateReview(req.body);
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        errors: error.details.map((d) => d.message),
-      });
-    }
-
-    const product = await Product.findById(req.params.productId);
-    if (!product) {
+    const existing = await Product.findById(req.params.productId).lean();
+    if (!existing) {
       return res
         .status(404)
         .json({ success: false, message: "Product not found" });
     }
+    if (existing.status !== "archived") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Product is not archived" });
+    }
 
-    // attach user from auth
-    const review = { ...value, user: req.user._id };
-    if (!req.user.roles?.includes("admin")) delete review.status;
+    // ?as=draft restores without publishing
+    const status = req.query.as === "draft" ? "draft" : "active";
+    const product = await Product.findByIdAndUpdate(
+      req.params.productId,
+      { $set: { status, updatedBy: req.user._id } },
+      { new: true }
+    );
 
-    await product.addReview(review);
+    await recordProductChange({
+      product,
+      before: existing,
+      action: "restore",
+      actor: req.user._id,
+    });
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: "Review added successfully",
+      message: "Product restored successfully",
       data: product,
     });
   } catch (err) {
@@ -311,34 +734,54 @@ export const addReview = async (req, res) => {
   }
 };
 
-// ✅ Get Reviews
-export const getReviews = async (req, res) => {
+// ✅ Permanently delete an archived product (admin)
+// The delete hook removes its questions and reviews, drops it from carts
+// and releases uploaded images nothing else uses.
+export const purgeProduct = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.productId, "reviews ratings");
-    if (!product) {
+    const existing = await Product.findById(req.params.productId).lean();
+    if (!existing) {
       return res
         .status(404)
         .json({ success: false, message: "Product not found" });
     }
+    if (existing.status !== "archived") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Archive the product before deleting it" });
+    }
+    if (await Bundle.exists({ "components.product": existing._id })) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Product is still part of a bundle" });
+    }
+
+    // the revision outlives the product: who purged it, and its last state
+    await recordProductChange({
+      product: existing,
+      before: existing,
+      action: "purge",
+      actor: req.user._id,
+    });
+    await Product.findByIdAndDelete(req.params.productId);
+
     res.status(200).json({
       success: true,
-      averageRating: product.ratings.average,
-      totalReviews: product.ratings.count,
-      reviews: product.reviews,
+      message: "Product deleted permanently",
     });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
 };
 
-// ✅ Update Review
-export const updateReview = async (req, res) => {
+// ✅ Adjust Variant Stock (admin)
+export const updateVariantStock = async (req, res) => {
   try {
-    const { error, value } = validateUpdateReview(req.body);
+    const { error, value } = validateVariantStock(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
-        errors: error.details.map((d) => d.message),
+        errors: formatValidationError(error),
       });
     }
 
@@ -349,34 +792,43 @@ export const updateReview = async (req, res) => {
         .json({ success: false, message: "Product not found" });
     }
 
-    const review = product.reviews.id(req.params.reviewId);
-    if (!review) {
+    const variant = product.variants.id(req.params.variantId);
+    if (!variant) {
       return res
         .status(404)
-        .json({ success: false, message: "Review not found" });
+        .json({ success: false, message: "Variant not found" });
     }
 
-    // Only allow owner (or admin)
-    if (
-      String(review.user) !== String(req.user._id) &&
-      !req.user.roles.includes("admin")
-    ) {
-      return res.status(403).json({
+    const newStock =
+      typeof value.stock === "number"
+        ? value.stock
+        : (Number(variant.stock) || 0) + value.delta;
+    if (newStock < 0) {
+      return res.status(400).json({
         success: false,
-        message: "Not authorized to update this review",
+        message: `Stock for size ${variant.size} cannot go below 0`,
       });
     }
 
-    if ("status" in value && !req.user.roles?.includes("admin")) {
-      delete value.status;
-    }
-    Object.assign(review, value);
+    const before = toTrackedState(product);
+
+    // pre-save re-syncs product-level stock from variants
+    variant.stock = newStock;
+    product.updatedBy = req.user._id;
+    await product.save();
 
-    await product.recalculateRatings();
+    await recordProductChange({
+      product,
+      before,
+      action: "stock",
+      actor: req.user._id,
+    });
+    // restock may fill waiting backorders before thresholds are checked
+    allocateBackorders([product._id]).then(() => checkLowStock([product._id]));
 
     res.status(200).json({
       success: true,
-      message: "Review updated successfully",
+      message: "Variant stock updated successfully",
       data: product,
     });
   } catch (err) {
@@ -384,31 +836,86 @@ export const updateReview = async (req, res) => {
   }
 };
 
-// ✅ Delete Review
-export const deleteReview = async (req, res) => {
+// ✅ Product Change History (admin)
+export const getProductHistory = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.productId);
-    if (!product) {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNumber = parseInt(page, 10) || 1;
+    const limitNumber = parseInt(limit, 10) || 20;
+    const query = { product: req.params.productId };
+
+    const [revisions, total] = await Promise.all([
+      ProductRevision.find(query)
+        .sort({ version: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .select(req.query.snapshots === "true" ? "" : "-snapshot")
+        .populate("changedBy", "username email"),
+      ProductRevision.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / limitNumber),
+      data: revisions,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Revert Product to a prior revision (admin)
+export const revertProduct = async (req, res) => {
+  try {
+    const revision = await ProductRevision.findOne({
+      _id: req.params.revisionId,
+      product: req.params.productId,
+    }).lean();
+    if (!revision) {
       return res
         .status(404)
-        .json({ success: false, message: "Product not found" });
+        .json({ success: false, message: "Revision not found" });
     }
 
-    const review = product.reviews.id(req.params.reviewId);
-    if (!review) {
-      return res.status(404).json({ success: false, message: "Review not found" });
-    }
-    if (String(review.user) !== String(req.user._id) && !req.user.roles?.includes("admin")) {
-      return res.status(403).json({ success: false, message: "Not authorized to delete this review" });
+    const current = await Product.findById(req.params.productId).lean();
+    if (!current) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Product not found" });
     }
-    await product.removeReviewById(req.params.reviewId);
+
+    const restored = toRevertState(revision.snapshot, current);
+
+    const product = await Product.findByIdAndUpdate(
+      req.params.productId,
+      { $set: { ...restored, updatedBy: req.user._id } },
+      { new: true, runValidators: true, context: "query" }
+    );
+
+    await recordProductChange({
+      product,
+      before: current,
+      action: "revert",
+      actor: req.user._id,
+      revertedFrom: revision._id,
+      note: `Reverted to version ${revision.version}`,
+    });
 
     res.status(200).json({
       success: true,
-      message: "Review deleted successfully",
+      message: `Product reverted to version ${revision.version}`,
       data: product,
     });
   } catch (err) {
+    if (err.code === 11000) {
+      const field = Object.keys(err.keyValue)[0];
+      return res.status(400).json({
+        success: false,
+        message: `Duplicate value for ${field}. Please use another one.`,
+      });
+    }
     res.status(500).json({ success: false, message: err.message });
   }
 };
@@ -0,0 +1,363 @@
+// FILE: src/controllers/questionController.js
+import mongoose from "mongoose";
+import Product from "../models/Product.js";
+import Order from "../models/Order.js";
+import ProductQuestion from "../models/ProductQuestion.js";
+import {
+  validateCreateQuestion,
+  validateCreateAnswer,
+  validateModeration,
+} from "../utils/questionValidation.js";
+
+/**
+ * Utility: format Joi errors
+ */
+const formatValidationError = (error) =>
+  error.details.map((err) => err.message);
+
+const QUESTION_SORTS = {
+  helpful: { upvoteCount: -1, createdAt: -1 },
+  recent: { createdAt: -1 },
+};
+
+const isAdmin = (req) => req.userRole === "admin";
+
+/**
+ * Utility: question JSON for the caller — shoppers see approved answers
+ * only, and everyone gets hasUpvoted instead of the voter list
+ */
+const presentQuestion = (question, req) => {
+  const userId = req.userRole === "user" ? String(req.user._id) : null;
+  const voted = (list = []) => Boolean(userId) && list.some((id) => String(id) === userId);
+
+  const json = question.toJSON();
+  json.hasUpvoted = voted(question.upvotedBy);
+  json.answers = question.answers
+    .filter((a) => isAdmin(req) || a.status === "approved")
+    .map((a) => ({ ...a.toJSON(), upvotedBy: undefined, hasUpvoted: voted(a.upvotedBy) }));
+  if (!isAdmin(req)) {
+    delete json.moderationNote;
+    json.answers.forEach((a) => delete a.moderationNote);
+  }
+  return json;
+};
+
+/**
+ * Utility: load a question and check it belongs to the product in the URL
+ */
+const findQuestion = async (req) => {
+  const { productId, questionId } = req.params;
+  if (!mongoose.isValidObjectId(questionId)) return null;
+  return ProductQuestion.findOne({ _id: questionId, product: productId });
+};
+
+// ✅ Public: approved questions for a product (?sort=helpful|recent, admin: ?status=)
+export const getQuestions = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sort = "helpful", status } = req.query;
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.min(Math.max(1, parseInt(limit, 10) || 10), 50);
+
+    const product = await Product.exists({ _id: req.params.productId });
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    const query = {
+      product: req.params.productId,
+      status: isAdmin(req) && status ? status : "approved",
+    };
+
+    const [questions, total] = await Promise.all([
+      ProductQuestion.find(query)
+        .sort(QUESTION_SORTS[sort] || QUESTION_SORTS.helpful)
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber),
+      ProductQuestion.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / limitNumber),
+      data: questions.map((q) => presentQuestion(q, req)),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ User: ask a question (published once approved)
+export const askQuestion = async (req, res) => {
+  try {
+    const { error, value } = validateCreateQuestion(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, errors: formatValidationError(error) });
+    }
+
+    const product = await Product.findById(req.params.productId).select("status isActive");
+    if (!product || !product.isAvailable()) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    const question = await ProductQuestion.create({
+      product: product._id,
+      user: req.user._id,
+      authorName: req.user.username,
+      body: value.body,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Question submitted and awaiting moderation",
+      data: presentQuestion(question, req),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin or verified buyer: answer an approved question
+export const answerQuestion = async (req, res) => {
+  try {
+    const { error, value } = validateCreateAnswer(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, errors: formatValidationError(error) });
+    }
+
+    const question = await findQuestion(req);
+    if (!question || (question.status !== "approved" && !isAdmin(req))) {
+      return res.status(404).json({ success: false, message: "Question not found" });
+    }
+
+    let isVerifiedBuyer = false;
+    if (!isAdmin(req)) {
+      isVerifiedBuyer = Boolean(
+        await Order.hasDeliveredProduct(req.user._id, question.product)
+      );
+      if (!isVerifiedBuyer) {
+        return res.status(403).json({
+          success: false,
+          message: "Only customers who received this product can answer",
+        });
+      }
+    }
+
+    // the store's own answers skip the queue
+    question.answers.push({
+      body: value.body,
+      author: req.user._id,
+      authorModel: isAdmin(req) ? "Admin" : "User",
+      authorName: req.user.username,
+      isVerifiedBuyer,
+      status: isAdmin(req) ? "approved" : "pending",
+      ...(isAdmin(req) && { moderatedBy: req.user._id, moderatedAt: new Date() }),
+    });
+    await question.save();
+
+    res.status(201).json({
+      success: true,
+      message: isAdmin(req) ? "Answer published" : "Answer submitted and awaiting moderation",
+      data: presentQuestion(question, req),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * Utility: add or remove the caller's upvote atomically
+ * (the voter list guards against double votes)
+ */
+const setUpvote = (upvote) => async (req, res) => {
+  try {
+    const { productId, questionId, answerId } = req.params;
+    if (
+      !mongoose.isValidObjectId(questionId) ||
+      (answerId && !mongoose.isValidObjectId(answerId))
+    ) {
+      return res.status(404).json({ success: false, message: "Not found" });
+    }
+
+    const userId = req.user._id;
+    const base = { _id: questionId, product: productId };
+    let filter;
+    let update;
+    if (answerId) {
+      filter = {
+        ...base,
+        status: "approved",
+        answers: {
+          $elemMatch: {
+            _id: answerId,
+            status: "approved",
+            upvotedBy: upvote ? { $ne: userId } : userId,
+          },
+        },
+      };
+      update = upvote
+        ? { $addToSet: { "answers.$.upvotedBy": userId }, $inc: { "answers.$.upvoteCount": 1 } }
+        : { $pull: { "answers.$.upvotedBy": userId }, $inc: { "answers.$.upvoteCount": -1 } };
+    } else {
+      filter = { ...base, status: "approved", upvotedBy: upvote ? { $ne: userId } : userId };
+      update = upvote
+        ? { $addToSet: { upvotedBy: userId }, $inc: { upvoteCount: 1 } }
+        : { $pull: { upvotedBy: userId }, $inc: { upvoteCount: -1 } };
+    }
+
+    // no match: already in the requested state, or nothing to vote on
+    await ProductQuestion.updateOne(filter, update);
+
+    const question = await ProductQuestion.findOne({ ...base, status: "approved" });
+    const target = answerId ? question?.answers.id(answerId) : question;
+    if (!target || target.status !== "approved") {
+      return res.status(404).json({
+        success: false,
+        message: answerId ? "Answer not found" : "Question not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: upvote ? "Upvoted" : "Upvote removed",
+      data: { upvoteCount: target.upvoteCount, hasUpvoted: upvote },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ User: upvote / un-upvote a question or an answer
+export const upvote = setUpvote(true);
+export const removeUpvote = setUpvote(false);
+
+// ✅ Owner or admin: delete a question (with its answers)
+export const deleteQuestion = async (req, res) => {
+  try {
+    const question = await findQuestion(req);
+    if (!question) {
+      return res.status(404).json({ success: false, message: "Question not found" });
+    }
+    if (!isAdmin(req) && String(question.user) !== String(req.user._id)) {
+      return res.status(403).json({ success: false, message: "Not authorized to delete this question" });
+    }
+
+    await question.deleteOne();
+    res.status(200).json({ success: true, message: "Question deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Author or admin: delete an answer
+export const deleteAnswer = async (req, res) => {
+  try {
+    const question = await findQuestion(req);
+    const answer = question?.answers.id(req.params.answerId);
+    if (!answer) {
+      return res.status(404).json({ success: false, message: "Answer not found" });
+    }
+    if (!isAdmin(req) && String(answer.author) !== String(req.user._id)) {
+      return res.status(403).json({ success: false, message: "Not authorized to delete this answer" });
+    }
+
+    answer.deleteOne();
+    await question.save();
+    res.status(200).json({ success: true, message: "Answer deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: approve / reject a question
+export const moderateQuestion = async (req, res) => {
+  try {
+    const { error, value } = validateModeration(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, errors: formatValidationError(error) });
+    }
+
+    const question = await findQuestion(req);
+    if (!question) {
+      return res.status(404).json({ success: false, message: "Question not found" });
+    }
+
+    Object.assign(question, {
+      status: value.status,
+      moderationNote: value.note,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date(),
+    });
+    await question.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Question ${value.status}`,
+      data: presentQuestion(question, req),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: approve / reject an answer
+export const moderateAnswer = async (req, res) => {
+  try {
+    const { error, value } = validateModeration(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, errors: formatValidationError(error) });
+    }
+
+    const question = await findQuestion(req);
+    const answer = question?.answers.id(req.params.answerId);
+    if (!answer) {
+      return res.status(404).json({ success: false, message: "Answer not found" });
+    }
+
+    Object.assign(answer, {
+      status: value.status,
+      moderationNote: value.note,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date(),
+    });
+    await question.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Answer ${value.status}`,
+      data: presentQuestion(question, req),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: moderation queue — questions that are, or have answers, in a status
+export const listQuestionQueue = async (req, res) => {
+  try {
+    const { status = "pending", page = 1, limit = 25 } = req.query;
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.min(Math.max(1, parseInt(limit, 10) || 25), 100);
+    const query = { $or: [{ status }, { "answers.status": status }] };
+
+    const [questions, total] = await Promise.all([
+      ProductQuestion.find(query)
+        .sort({ createdAt: 1 }) // oldest first
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .populate("product", "name slug images"),
+      ProductQuestion.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / limitNumber),
+      data: questions.map((q) => presentQuestion(q, req)),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,440 @@
+// FILE: src/controllers/reviewController.js
+import mongoose from "mongoose";
+import Product from "../models/Product.js";
+import Order from "../models/Order.js";
+import Review from "../models/Review.js";
+import { releaseImages, collectImageUrls } from "../utils/uploads.js";
+import {
+  reviewsRequireApproval,
+  reviewsRequirePurchase,
+  reportThreshold,
+  notifyReviewDecision,
+} from "../utils/reviewModeration.js";
+import {
+  validateCreateReview,
+  validateUpdateReview,
+  validateReviewModeration,
+  validateReviewReport,
+} from "../utils/reviewValidation.js";
+
+/**
+ * Utility: format Joi errors
+ */
+const formatValidationError = (error) =>
+  error.details.map((err) => err.message);
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  rating_desc: { rating: -1, createdAt: -1 },
+  rating_asc: { rating: 1, createdAt: -1 },
+};
+
+const isAdmin = (req) => req.userRole === "admin";
+
+/**
+ * Utility: ?rating=5 or ?rating=4,5 → star filter (4 matches 4 to 4.5)
+ */
+const ratingFilter = (rating) => {
+  const stars = String(rating)
+    .split(",")
+    .map((r) => parseInt(r, 10))
+    .filter((r) => r >= 1 && r <= 5);
+  if (!stars.length) return null;
+  return { $or: stars.map((s) => ({ rating: { $gte: s, $lt: s + 1 } })) };
+};
+
+/**
+ * Utility: load a review and check it belongs to the product in the URL
+ */
+const findReview = async (req) => {
+  const { productId, reviewId } = req.params;
+  if (!mongoose.isValidObjectId(reviewId)) return null;
+  return Review.findOne({ _id: reviewId, product: productId });
+};
+
+// review.user may be populated
+const isOwner = (review, req) =>
+  req.userRole === "user" && String(review.user?._id ?? review.user) === String(req.user._id);
+
+// Edits to these send a pre-moderated review back to the queue
+const CONTENT_FIELDS = ["rating", "title", "comment", "images"];
+
+/**
+ * Utility: review JSON for the caller — moderation details and reports
+ * stay with admins (the reviewer also sees why it was rejected), and
+ * shoppers get hasMarkedHelpful instead of the voter list
+ */
+const presentReview = (review, req) => {
+  const json = review.toJSON();
+  const userId = req.userRole === "user" ? String(req.user._id) : null;
+  json.hasMarkedHelpful =
+    Boolean(userId) && (review.helpfulBy || []).some((id) => String(id) === userId);
+  if (!isAdmin(req)) {
+    delete json.moderatedBy;
+    delete json.reports;
+    delete json.reportCount;
+    if (!isOwner(review, req)) delete json.rejectionReason;
+  }
+  return json;
+};
+
+// ✅ Public: a page of reviews
+// ?sort=newest|helpful|rating_desc|rating_asc, ?rating=4,5, ?withPhotos=true, ?verified=true,
+// admin: ?status=
+export const getReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sort = "newest", rating, withPhotos, verified, status } =
+      req.query;
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.min(Math.max(1, parseInt(limit, 10) || 10), 50);
+
+    const product = await Product.findById(req.params.productId).select("ratings");
+    if (!product) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Product not found" });
+    }
+
+    const query = {
+      product: product._id,
+      status: isAdmin(req) && status ? status : "approved",
+    };
+    if (rating) Object.assign(query, ratingFilter(rating));
+    if (withPhotos === "true") query.hasImages = true;
+    if (verified === "true") query.isVerifiedPurchase = true;
+
+    const [reviews, total, breakdown] = await Promise.all([
+      Review.find(query)
+        .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.newest)
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .populate("user", "username"),
+      Review.countDocuments(query),
+      Review.ratingBreakdown(product._id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      averageRating: product.ratings.average,
+      totalReviews: product.ratings.count,
+      breakdown,
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / limitNumber),
+      data: reviews.map((r) => presentReview(r, req)),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ User: add a review (one per product; verified when the user has received it)
+export const addReview = async (req, res) => {
+  try {
+    const { error, value } = validateCreateReview(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    const product = await Product.exists({ _id: req.params.productId, ...Product.publicFilter() });
+    if (!product) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Product not found" });
+    }
+
+    const existing = await Review.findOne({ product: product._id, user: req.user._id }).select("_id");
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already reviewed this product. Edit your review instead.",
+        reviewId: existing._id,
+      });
+    }
+
+    const isVerifiedPurchase = Boolean(
+      await Order.hasDeliveredProduct(req.user._id, product._id)
+    );
+    if (!isVerifiedPurchase && reviewsRequirePurchase()) {
+      return res.status(403).json({
+        success: false,
+        message: "Only customers who have received this product can review it",
+      });
+    }
+
+    // attach user from auth; status follows the moderation setting
+    const review = await Review.create({
+      ...value,
+      status: reviewsRequireApproval() ? "pending" : "approved",
+      product: product._id,
+      user: req.user._id,
+      isVerifiedPurchase,
+    });
+    const ratings = await Review.syncProductRatings(product._id);
+
+    res.status(201).json({
+      success: true,
+      message:
+        review.status === "pending"
+          ? "Review submitted and awaiting moderation"
+          : "Review added successfully",
+      data: presentReview(review, req),
+      ratings,
+    });
+  } catch (err) {
+    // a concurrent request created the review first
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already reviewed this product. Edit your review instead.",
+      });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Update Review (owner or admin)
+export const updateReview = async (req, res) => {
+  try {
+    const { error, value } = validateUpdateReview(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    const review = await findReview(req);
+    if (!review) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Review not found" });
+    }
+    if (!isOwner(review, req) && !isAdmin(req)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this review",
+      });
+    }
+
+    if (!isAdmin(req)) {
+      delete value.status;
+      // changed content is moderated again; a rejected review can be resubmitted
+      const edited = CONTENT_FIELDS.some((f) => f in value);
+      if (edited && (reviewsRequireApproval() || review.status === "rejected")) {
+        value.status = reviewsRequireApproval() ? "pending" : "approved";
+        value.rejectionReason = undefined;
+      }
+    }
+    const previousImages = collectImageUrls({ images: review.images });
+    Object.assign(review, value);
+    await review.save();
+
+    const ratings = await Review.syncProductRatings(review.product);
+    // only a request that sends `images` replaces (and so releases) photos
+    if ("images" in value) {
+      releaseImages(previousImages, collectImageUrls({ images: review.images }));
+    }
+
+    res.status(200).json({
+      success: true,
+      message:
+        review.status === "pending"
+          ? "Review updated and awaiting moderation"
+          : "Review updated successfully",
+      data: presentReview(review, req),
+      ratings,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Delete Review (owner or admin)
+export const deleteReview = async (req, res) => {
+  try {
+    const review = await findReview(req);
+    if (!review) {
+      return res.status(404).json({ success: false, message: "Review not found" });
+    }
+    if (!isOwner(review, req) && !isAdmin(req)) {
+      return res.status(403).json({ success: false, message: "Not authorized to delete this review" });
+    }
+
+    await review.deleteOne();
+    const ratings = await Review.syncProductRatings(review.product);
+    releaseImages(collectImageUrls({ images: review.images }));
+
+    res.status(200).json({
+      success: true,
+      message: "Review deleted successfully",
+      ratings,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: approve / reject a review (the reviewer is emailed the decision)
+export const moderateReview = async (req, res) => {
+  try {
+    const { error, value } = validateReviewModeration(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, errors: formatValidationError(error) });
+    }
+
+    const review = await findReview(req);
+    if (!review) {
+      return res.status(404).json({ success: false, message: "Review not found" });
+    }
+
+    const previousStatus = review.status;
+    Object.assign(review, {
+      status: value.status,
+      rejectionReason: value.status === "rejected" ? value.reason : undefined,
+      moderatedBy: req.user._id,
+      moderatedAt: new Date(),
+    });
+    // reports so far have been looked at; only new ones count toward hiding it again
+    if (value.status === "approved") review.reportCount = 0;
+    await review.save();
+    const ratings = await Review.syncProductRatings(review.product);
+
+    // a reported review put back up is no news to its author
+    const restored = previousStatus === "flagged" && value.status === "approved";
+    if (previousStatus !== value.status && !restored) notifyReviewDecision(review);
+
+    res.status(200).json({
+      success: true,
+      message: `Review ${value.status}`,
+      data: presentReview(review, req),
+      ratings,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: moderation queue across products (?status=pending|flagged|approved|rejected, oldest first)
+export const listReviewQueue = async (req, res) => {
+  try {
+    const { status = "pending", page = 1, limit = 25 } = req.query;
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.min(Math.max(1, parseInt(limit, 10) || 25), 100);
+    const query = { status };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .sort({ createdAt: 1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .populate("product", "name slug images")
+        .populate("user", "username email"),
+      Review.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / limitNumber),
+      data: reviews.map((r) => presentReview(r, req)),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * Utility: add or remove the caller's helpful vote atomically
+ * (the voter list guards against double votes)
+ */
+const setHelpful = (helpful) => async (req, res) => {
+  try {
+    const { productId, reviewId } = req.params;
+    if (!mongoose.isValidObjectId(reviewId)) {
+      return res.status(404).json({ success: false, message: "Review not found" });
+    }
+
+    const userId = req.user._id;
+    const base = { _id: reviewId, product: productId, status: "approved" };
+    // no match: already in the requested state, own review, or nothing to vote on
+    await Review.updateOne(
+      { ...base, user: { $ne: userId }, helpfulBy: helpful ? { $ne: userId } : userId },
+      helpful
+        ? { $addToSet: { helpfulBy: userId }, $inc: { helpfulCount: 1 } }
+        : { $pull: { helpfulBy: userId }, $inc: { helpfulCount: -1 } }
+    );
+
+    const review = await Review.findOne(base);
+    if (!review) {
+      return res.status(404).json({ success: false, message: "Review not found" });
+    }
+    if (helpful && isOwner(review, req)) {
+      return res.status(400).json({ success: false, message: "You can't vote on your own review" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: helpful ? "Marked as helpful" : "Helpful vote removed",
+      data: { helpfulCount: review.helpfulCount, hasMarkedHelpful: helpful },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ User: mark a review helpful (once per user)
+export const markHelpful = setHelpful(true);
+
+// ✅ User: take back a helpful vote
+export const unmarkHelpful = setHelpful(false);
+
+// ✅ User: report a review as abusive (hidden for moderation past the report threshold)
+export const reportReview = async (req, res) => {
+  try {
+    const { error, value } = validateReviewReport(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, errors: formatValidationError(error) });
+    }
+
+    const review = await findReview(req);
+    if (!review || review.status !== "approved") {
+      return res.status(404).json({ success: false, message: "Review not found" });
+    }
+    if (isOwner(review, req)) {
+      return res.status(400).json({ success: false, message: "You can't report your own review" });
+    }
+
+    const userId = req.user._id;
+    const { modifiedCount } = await Review.updateOne(
+      { _id: review._id, "reports.user": { $ne: userId } },
+      {
+        $push: { reports: { user: userId, reason: value.reason, note: value.note || undefined } },
+        $inc: { reportCount: 1 },
+      }
+    );
+    if (!modifiedCount) {
+      return res.status(200).json({ success: true, message: "You have already reported this review" });
+    }
+
+    // only the report that crosses the threshold flips an approved review
+    const hidden = await Review.findOneAndUpdate(
+      { _id: review._id, status: "approved", reportCount: { $gte: reportThreshold() } },
+      { $set: { status: "flagged" } },
+      { new: true }
+    );
+    if (hidden) await Review.syncProductRatings(hidden.product);
+
+    res.status(200).json({
+      success: true,
+      message: "Thanks, our team will take a look at this review",
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,162 @@
+// FILE: src/controllers/saleController.js
+import Sale from "../models/Sale.js";
+import { validateCreateSale, validateUpdateSale } from "../utils/saleValidation.js";
+
+/**
+ * Utility: format Joi errors
+ */
+const formatValidationError = (error) =>
+  error.details.map((err) => err.message);
+
+/**
+ * Utility: Mongo filter for a campaign state at the current time
+ */
+const stateFilter = (state) => {
+  const now = new Date();
+  switch (state) {
+    case "live":
+      return { isActive: true, startsAt: { $lte: now }, endsAt: { $gt: now } };
+    case "scheduled":
+      return { isActive: true, startsAt: { $gt: now } };
+    case "ended":
+      return { endsAt: { $lte: now } };
+    case "disabled":
+      return { isActive: false };
+    default:
+      return {};
+  }
+};
+
+// ✅ Public: campaigns running now (for storefront banners)
+export const getLiveSales = async (req, res) => {
+  try {
+    const sales = await Sale.find(stateFilter("live"))
+      .sort({ endsAt: 1 })
+      .select("name description discountType discountValue startsAt endsAt appliesTo");
+    res.status(200).json({ success: true, data: sales });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: list campaigns (?state=live|scheduled|ended|disabled)
+export const listSales = async (req, res) => {
+  try {
+    const { state, page = 1, limit = 25 } = req.query;
+    const pageNumber = parseInt(page, 10) || 1;
+    const limitNumber = parseInt(limit, 10) || 25;
+    const query = stateFilter(state);
+
+    const [sales, total] = await Promise.all([
+      Sale.find(query)
+        .sort({ startsAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber),
+      Sale.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / limitNumber),
+      data: sales,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: get campaign
+export const getSaleById = async (req, res) => {
+  try {
+    const sale = await Sale.findById(req.params.saleId).populate(
+      "appliesTo.products",
+      "name slug sku"
+    );
+    if (!sale) {
+      return res.status(404).json({ success: false, message: "Sale not found" });
+    }
+    res.status(200).json({ success: true, data: sale });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: create campaign
+export const createSale = async (req, res) => {
+  try {
+    const { error, value } = validateCreateSale(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    const sale = new Sale({ ...value, createdBy: req.user._id });
+    await sale.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Sale created successfully",
+      data: sale,
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        errors: Object.values(err.errors).map((e) => e.message),
+      });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: update campaign (also used to end a sale early)
+export const updateSale = async (req, res) => {
+  try {
+    const { error, value } = validateUpdateSale(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    const sale = await Sale.findById(req.params.saleId);
+    if (!sale) {
+      return res.status(404).json({ success: false, message: "Sale not found" });
+    }
+
+    Object.assign(sale, value);
+    await sale.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Sale updated successfully",
+      data: sale,
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        errors: Object.values(err.errors).map((e) => e.message),
+      });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: delete campaign
+export const deleteSale = async (req, res) => {
+  try {
+    const sale = await Sale.findByIdAndDelete(req.params.saleId);
+    if (!sale) {
+      return res.status(404).json({ success: false, message: "Sale not found" });
+    }
+    res.status(200).json({ success: true, message: "Sale deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
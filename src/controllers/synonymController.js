@@ -0,0 +1,147 @@
+// FILE: src/controllers/synonymController.js
+import SearchSynonym from "../models/SearchSynonym.js";
+import { invalidateSearchCache } from "../utils/productSearch.js";
+import {
+  validateCreateSynonym,
+  validateUpdateSynonym,
+} from "../utils/synonymValidation.js";
+
+/**
+ * Utility: format Joi errors
+ */
+const formatValidationError = (error) =>
+  error.details.map((err) => err.message);
+
+/**
+ * Utility: terms already claimed by another group
+ * (a term in two groups would silently merge them at search time)
+ */
+const findTakenTerms = async (terms, excludeId) => {
+  const clash = await SearchSynonym.find({
+    terms: { $in: terms },
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  }).lean();
+  return terms.filter((t) => clash.some((group) => group.terms.includes(t)));
+};
+
+// ✅ Admin: list synonym groups (?term= to find the group containing a term)
+export const listSynonyms = async (req, res) => {
+  try {
+    const { term, page = 1, limit = 50 } = req.query;
+    const pageNumber = parseInt(page, 10) || 1;
+    const limitNumber = parseInt(limit, 10) || 50;
+    const query = term ? { terms: String(term).trim().toLowerCase() } : {};
+
+    const [synonyms, total] = await Promise.all([
+      SearchSynonym.find(query)
+        .sort({ updatedAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber),
+      SearchSynonym.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / limitNumber),
+      data: synonyms,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: create synonym group
+export const createSynonym = async (req, res) => {
+  try {
+    const { error, value } = validateCreateSynonym(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    const taken = await findTakenTerms(value.terms);
+    if (taken.length) {
+      return res.status(409).json({
+        success: false,
+        message: `Already in another synonym group: ${taken.join(", ")}`,
+      });
+    }
+
+    const synonym = await SearchSynonym.create({
+      ...value,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    invalidateSearchCache();
+
+    res.status(201).json({
+      success: true,
+      message: "Synonym group created successfully",
+      data: synonym,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: update synonym group
+export const updateSynonym = async (req, res) => {
+  try {
+    const { error, value } = validateUpdateSynonym(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        errors: formatValidationError(error),
+      });
+    }
+
+    const synonym = await SearchSynonym.findById(req.params.synonymId);
+    if (!synonym) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Synonym group not found" });
+    }
+
+    if (value.terms) {
+      const taken = await findTakenTerms(value.terms, synonym._id);
+      if (taken.length) {
+        return res.status(409).json({
+          success: false,
+          message: `Already in another synonym group: ${taken.join(", ")}`,
+        });
+      }
+    }
+
+    Object.assign(synonym, value, { updatedBy: req.user._id });
+    await synonym.save();
+    invalidateSearchCache();
+
+    res.status(200).json({
+      success: true,
+      message: "Synonym group updated successfully",
+      data: synonym,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Admin: delete synonym group
+export const deleteSynonym = async (req, res) => {
+  try {
+    const synonym = await SearchSynonym.findByIdAndDelete(req.params.synonymId);
+    if (!synonym) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Synonym group not found" });
+    }
+    invalidateSearchCache();
+    res.status(200).json({ success: true, message: "Synonym group deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,156 @@
+// FILE: src/controllers/translationController.js
+import mongoose from "mongoose";
+import Product from "../models/Product.js";
+import Category from "../models/Category.js";
+import { validateTranslation } from "../utils/translationValidation.js";
+import { recordProductChange, toTrackedState } from "../utils/productHistory.js";
+import {
+  TRANSLATABLE_FIELDS,
+  defaultLocale,
+  supportedLocales,
+} from "../utils/locale.js";
+
+/**
+ * Utility: format Joi errors
+ */
+const formatValidationError = (error) =>
+  error.details.map((err) => err.message);
+
+/**
+ * Utility: admin handlers for the translations of one model
+ * (products and categories share the same shape; `history` records
+ * product revisions like the other product edits)
+ */
+const translationHandlers = (Model, { idParam, label, history = false }) => {
+  const load = (req) =>
+    mongoose.isValidObjectId(req.params[idParam]) ? Model.findById(req.params[idParam]) : null;
+
+  // save the edited document, recording a revision when the model is audited
+  const saveWithHistory = async (doc, before, req, note) => {
+    if (Model.schema.path("updatedBy")) doc.updatedBy = req.user._id;
+    await doc.save();
+    if (history) {
+      await recordProductChange({
+        product: doc,
+        before,
+        action: "update",
+        actor: req.user._id,
+        note,
+      });
+    }
+  };
+
+  // default-locale text lives on the document itself
+  const checkLocale = (locale) => {
+    if (locale === defaultLocale()) {
+      return `"${locale}" is the default locale; edit the ${label.toLowerCase()} itself`;
+    }
+    if (!supportedLocales().includes(locale)) {
+      return `Unsupported locale "${locale}". Use one of: ${supportedLocales().join(", ")}`;
+    }
+    return null;
+  };
+
+  // ✅ Admin: default text plus every translation
+  const list = async (req, res) => {
+    try {
+      const doc = await load(req);
+      if (!doc) {
+        return res.status(404).json({ success: false, message: `${label} not found` });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          defaultLocale: defaultLocale(),
+          supportedLocales: supportedLocales(),
+          default: Object.fromEntries(TRANSLATABLE_FIELDS.map((f) => [f, doc[f]])),
+          translations: Object.fromEntries(
+            [...(doc.translations || new Map())].map(([locale, t]) => [locale, t.toObject()])
+          ),
+        },
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, message: err.message });
+    }
+  };
+
+  // ✅ Admin: set (merge) the translation for one locale
+  const upsert = async (req, res) => {
+    try {
+      const locale = String(req.params.locale || "").toLowerCase();
+      const localeError = checkLocale(locale);
+      if (localeError) {
+        return res.status(400).json({ success: false, message: localeError });
+      }
+
+      const { error, value } = validateTranslation(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          errors: formatValidationError(error),
+        });
+      }
+
+      const doc = await load(req);
+      if (!doc) {
+        return res.status(404).json({ success: false, message: `${label} not found` });
+      }
+
+      const before = toTrackedState(doc);
+      const current = doc.translations?.get(locale)?.toObject() || {};
+      const merged = Object.fromEntries(
+        Object.entries({ ...current, ...value }).filter(([, text]) => text)
+      );
+
+      if (!doc.translations) doc.translations = {};
+      if (Object.keys(merged).length) doc.translations.set(locale, merged);
+      else doc.translations.delete(locale);
+      await saveWithHistory(doc, before, req, `Translation "${locale}" saved`);
+
+      res.status(200).json({
+        success: true,
+        message: `${label} translation saved`,
+        data: { locale, ...(doc.translations.get(locale)?.toObject() || {}) },
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, message: err.message });
+    }
+  };
+
+  // ✅ Admin: remove the translation for one locale
+  const remove = async (req, res) => {
+    try {
+      const locale = String(req.params.locale || "").toLowerCase();
+      const doc = await load(req);
+      if (!doc) {
+        return res.status(404).json({ success: false, message: `${label} not found` });
+      }
+      if (!doc.translations?.has(locale)) {
+        return res.status(404).json({ success: false, message: "Translation not found" });
+      }
+
+      const before = toTrackedState(doc);
+      doc.translations.delete(locale);
+      await saveWithHistory(doc, before, req, `Translation "${locale}" deleted`);
+
+      res.status(200).json({ success: true, message: `${label} translation deleted` });
+    } catch (err) {
+      res.status(500).json({ success: false, message: err.message });
+    }
+  };
+
+  return { list, upsert, remove };
+};
+
+export const {
+  list: getProductTranslations,
+  upsert: upsertProductTranslation,
+  remove: deleteProductTranslation,
+} = translationHandlers(Product, { idParam: "productId", label: "Product", history: true });
+
+export const {
+  list: getCategoryTranslations,
+  upsert: upsertCategoryTranslation,
+  remove: deleteCategoryTranslation,
+} = translationHandlers(Category, { idParam: "categoryId", label: "Category" });
@@ -0,0 +1,78 @@
+// FILE: src/controllers/uploadController.js
+import Upload from "../models/Upload.js";
+import {
+  storeImage,
+  toImageRef,
+  removeUpload,
+  isImageReferenced,
+  UploadValidationError,
+} from "../utils/uploads.js";
+
+// ✅ Upload images (multipart field "images"); admins: product or review, users: review
+export const uploadImages = async (req, res) => {
+  const files = req.files || [];
+  if (!files.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Attach one or more files in the "images" field',
+    });
+  }
+
+  const isAdmin = req.userRole === "admin";
+  const purpose = isAdmin && req.body?.purpose !== "review" ? "product" : "review";
+  const stored = [];
+
+  try {
+    for (const file of files) {
+      stored.push(
+        await storeImage(file, {
+          purpose,
+          uploadedBy: req.user._id,
+          uploaderRole: req.userRole,
+        })
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${stored.length} image(s) uploaded`,
+      // `image` is ready to drop into a product/review images[] array
+      data: stored.map((upload) => ({ ...upload.toJSON(), image: toImageRef(upload) })),
+    });
+  } catch (err) {
+    // all-or-nothing: drop files already stored for this request
+    await Promise.all(stored.map((upload) => removeUpload(upload).catch(() => {})));
+    if (err instanceof UploadValidationError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ✅ Delete an unused upload (uploader or admin)
+export const deleteUpload = async (req, res) => {
+  try {
+    const upload = await Upload.findById(req.params.uploadId);
+    if (!upload) {
+      return res.status(404).json({ success: false, message: "Upload not found" });
+    }
+
+    if (req.userRole !== "admin" && String(upload.uploadedBy) !== String(req.user._id)) {
+      return res
+        .status(403)
+        .json({ success: false, message: "Not authorized to delete this upload" });
+    }
+
+    if (await isImageReferenced(upload.url)) {
+      return res.status(409).json({
+        success: false,
+        message: "Image is still used by a product or review",
+      });
+    }
+
+    await removeUpload(upload);
+    res.status(200).json({ success: true, message: "Upload deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
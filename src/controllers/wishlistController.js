@@ -21,7 +21,7 @@ export const addToWishlist = async (req, res) => {
     const { productId } = req.params;
 
     const product = await Product.findById(productId);
-    if (!product) {
+    if (!product || !product.isAvailable()) {
       return res.status(404).json({ success: false, message: "Product not found" });
     }
 
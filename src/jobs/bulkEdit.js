@@ -0,0 +1,107 @@
+// src/jobs/bulkEdit.js
+import BulkEditJob, { MAX_RECORDED_FAILURES } from "../models/BulkEditJob.js";
+import Product from "../models/Product.js";
+import { buildBulkFilter, applyBulkOperations } from "../utils/bulkEdit.js";
+import { recordProductChange } from "../utils/productHistory.js";
+
+const BATCH_SIZE = 100;
+
+/**
+ * Apply one product's bulk edit through the regular update path, so
+ * finalPrice, slug/sku guards and feed hooks behave like updateProduct.
+ * @returns {Promise<boolean>} false when the operations change nothing
+ */
+const editProduct = async (productId, job) => {
+  const before = await Product.findById(productId).lean();
+  if (!before) return false;
+
+  const $set = applyBulkOperations(before, job.operations);
+  if (!Object.keys($set).length) return false;
+
+  const product = await Product.findByIdAndUpdate(
+    productId,
+    { $set: { ...$set, updatedBy: job.createdBy } },
+    { new: true, runValidators: true, context: "query" }
+  );
+  if (!product) return false;
+
+  await recordProductChange({
+    product,
+    before,
+    action: "update",
+    actor: job.createdBy,
+    note: `Bulk edit ${job._id}`,
+  });
+  return true;
+};
+
+/**
+ * Run a queued bulk edit to completion. The matching ids are fixed when
+ * the job starts; progress is saved after every batch so GET /jobs/:id
+ * can follow along.
+ */
+export const runBulkEditJob = async (jobId) => {
+  const job = await BulkEditJob.findOneAndUpdate(
+    { _id: jobId, status: "queued" },
+    { $set: { status: "running", startedAt: new Date() } },
+    { new: true }
+  );
+  if (!job) return null;
+
+  try {
+    const ids = await Product.distinct("_id", buildBulkFilter(job.filter));
+    job.matched = ids.length;
+    await job.save();
+
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      for (const id of ids.slice(i, i + BATCH_SIZE)) {
+        try {
+          if (await editProduct(id, job)) job.updated += 1;
+          else job.unchanged += 1;
+        } catch (err) {
+          job.failed += 1;
+          if (job.failures.length < MAX_RECORDED_FAILURES) {
+            const sku = (await Product.findById(id).select("sku").lean())?.sku;
+            job.failures.push({ product: id, sku, message: err.message });
+          }
+        }
+        job.processed += 1;
+      }
+      await job.save();
+    }
+
+    job.status = "completed";
+  } catch (err) {
+    job.status = "failed";
+    job.error = err.message;
+  }
+  job.finishedAt = new Date();
+  await job.save();
+  return job;
+};
+
+/**
+ * Jobs left "running" by a restart are marked failed rather than resumed:
+ * relative operations (increase/decrease) would apply twice to products
+ * already edited. Jobs still "queued" never started, so they run now.
+ */
+export const recoverBulkEditJobs = async () => {
+  const { modifiedCount } = await BulkEditJob.updateMany(
+    { status: "running" },
+    {
+      $set: {
+        status: "failed",
+        error: "Interrupted by a server restart",
+        finishedAt: new Date(),
+      },
+    }
+  );
+  if (modifiedCount) console.log(`⚠️ Marked ${modifiedCount} interrupted bulk edit(s) as failed`);
+
+  const queued = await BulkEditJob.find({ status: "queued" }).sort({ createdAt: 1 }).select("_id");
+  for (const { _id } of queued) {
+    await runBulkEditJob(_id).catch((err) =>
+      console.error(`❌ Bulk edit ${_id} failed:`, err.message)
+    );
+  }
+};
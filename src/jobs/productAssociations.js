@@ -0,0 +1,105 @@
+// src/jobs/productAssociations.js
+import Order from "../models/Order.js";
+import ProductAssociation from "../models/ProductAssociation.js";
+
+const LOOKBACK_DAYS = Number(process.env.ASSOCIATIONS_LOOKBACK_DAYS) || 180;
+const MAX_PER_PRODUCT = 20;
+const MIN_PAIR_COUNT = 2; // ignore one-off coincidences
+
+/**
+ * Mine product pairs that appear in the same order and store the top
+ * matches per product. Safe to re-run; stale entries are removed.
+ * @returns {Promise<{ products: number, computedAt: Date }>}
+ */
+export const computeProductAssociations = async () => {
+  const computedAt = new Date();
+  const since = new Date(computedAt.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  const orderMatch = {
+    status: { $nin: ["cancelled", "refunded"] },
+    createdAt: { $gte: since },
+  };
+  // distinct products per order, so quantity and size splits don't inflate counts
+  const distinctProducts = {
+    $project: { products: { $setUnion: ["$items.product", []] } },
+  };
+
+  const [orderCounts, pairs] = await Promise.all([
+    Order.aggregate([
+      { $match: orderMatch },
+      distinctProducts,
+      { $unwind: "$products" },
+      { $group: { _id: "$products", orders: { $sum: 1 } } },
+    ]),
+    Order.aggregate([
+      { $match: orderMatch },
+      distinctProducts,
+      { $match: { "products.1": { $exists: true } } },
+      { $project: { a: "$products", b: "$products" } },
+      { $unwind: "$a" },
+      { $unwind: "$b" },
+      { $match: { $expr: { $ne: ["$a", "$b"] } } },
+      { $group: { _id: { a: "$a", b: "$b" }, count: { $sum: 1 } } },
+      { $match: { count: { $gte: MIN_PAIR_COUNT } } },
+      { $sort: { count: -1 } },
+      {
+        $group: {
+          _id: "$_id.a",
+          boughtWith: { $push: { product: "$_id.b", count: "$count" } },
+        },
+      },
+      { $project: { boughtWith: { $slice: ["$boughtWith", MAX_PER_PRODUCT] } } },
+    ]),
+  ]);
+
+  const ordersByProduct = new Map(orderCounts.map((o) => [String(o._id), o.orders]));
+
+  const ops = pairs.map((entry) => {
+    const total = ordersByProduct.get(String(entry._id)) || 1;
+    return {
+      updateOne: {
+        filter: { product: entry._id },
+        update: {
+          $set: {
+            computedAt,
+            boughtWith: entry.boughtWith.map((b) => ({
+              product: b.product,
+              count: b.count,
+              confidence: Math.round((b.count / total) * 1000) / 1000,
+            })),
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+
+  if (ops.length) await ProductAssociation.bulkWrite(ops, { ordered: false });
+  await ProductAssociation.deleteMany({ computedAt: { $lt: computedAt } });
+
+  return { products: ops.length, computedAt };
+};
+
+/**
+ * Run the job shortly after startup and then on an interval.
+ * ASSOCIATIONS_INTERVAL_HOURS=0 disables the in-process schedule
+ * (use src/scripts/compute-associations.js from cron instead).
+ */
+export const scheduleProductAssociations = () => {
+  const hours = Number(process.env.ASSOCIATIONS_INTERVAL_HOURS ?? 24);
+  if (!hours || hours < 0) return null;
+
+  const run = async () => {
+    try {
+      const { products } = await computeProductAssociations();
+      console.log(`🔗 Product associations refreshed for ${products} products`);
+    } catch (err) {
+      console.error("❌ Product association job failed:", err.message);
+    }
+  };
+
+  setTimeout(run, 60 * 1000).unref();
+  const timer = setInterval(run, hours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,39 @@
+// src/jobs/productFeed.js
+import { syncFeedEntries, refreshFeedEntries } from "../utils/productFeed.js";
+
+/**
+ * Catch up feed entries with products changed outside Mongoose hooks,
+ * then rebuild what is stale. Feed requests only read entries.
+ * @returns {Promise<{ stamped: number, refreshed: number, removed: number }>}
+ */
+export const syncProductFeed = async () => {
+  const stamped = await syncFeedEntries();
+  const { refreshed, removed } = await refreshFeedEntries();
+  return { stamped, refreshed, removed };
+};
+
+/**
+ * Run shortly after startup and then on an interval.
+ * FEED_SYNC_INTERVAL_MINUTES=0 disables the in-process schedule
+ * (use src/scripts/sync-product-feed.js from cron instead).
+ */
+export const scheduleProductFeedSync = () => {
+  const minutes = Number(process.env.FEED_SYNC_INTERVAL_MINUTES ?? 15);
+  if (!minutes || minutes < 0) return null;
+
+  const run = async () => {
+    try {
+      const { stamped, refreshed, removed } = await syncProductFeed();
+      if (stamped || refreshed || removed) {
+        console.log(`🗺️ Product feed synced (${refreshed} refreshed, ${removed} removed)`);
+      }
+    } catch (err) {
+      console.error("❌ Product feed sync failed:", err.message);
+    }
+  };
+
+  setTimeout(run, 30 * 1000).unref();
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,20 @@
+// src/jobs/reviewIndexes.js
+import Review from "../models/Review.js";
+
+/**
+ * Build the Review indexes (autoIndex is off for them) after moving any
+ * duplicate reviews out of the way, so the one-review-per-user unique
+ * index never fails on data written before it existed.
+ * @returns {Promise<Array>} the duplicate groups that were moved
+ */
+export const ensureReviewIndexes = async () => {
+  const dropped = await Review.dedupeByUser();
+  for (const { product, user, kept, archived } of dropped) {
+    console.warn(
+      `⚠️ Review ${kept} kept for user ${user} on product ${product}; ` +
+        `moved ${archived.join(", ")} to reviewduplicates`
+    );
+  }
+  await Review.createIndexes();
+  return dropped;
+};
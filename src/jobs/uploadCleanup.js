@@ -0,0 +1,29 @@
+// src/jobs/uploadCleanup.js
+import { sweepOrphanedUploads } from "../utils/uploads.js";
+
+/**
+ * Periodically remove uploads nothing references.
+ * UPLOAD_ORPHAN_GRACE_HOURS (default 24) gives clients time to attach a
+ * fresh upload to a product or review; UPLOAD_CLEANUP_INTERVAL_HOURS=0
+ * disables the sweep.
+ */
+export const scheduleUploadCleanup = () => {
+  const hours = Number(process.env.UPLOAD_CLEANUP_INTERVAL_HOURS ?? 6);
+  if (!hours || hours < 0) return null;
+  const graceHours = Number(process.env.UPLOAD_ORPHAN_GRACE_HOURS ?? 24);
+
+  const run = async () => {
+    try {
+      const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+      const removed = await sweepOrphanedUploads(cutoff);
+      if (removed) console.log(`🧹 Removed ${removed} orphaned upload(s)`);
+    } catch (err) {
+      console.error("❌ Upload cleanup failed:", err.message);
+    }
+  };
+
+  setTimeout(run, 2 * 60 * 1000).unref();
+  const timer = setInterval(run, hours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
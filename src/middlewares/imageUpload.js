@@ -0,0 +1,36 @@
+// src/middlewares/imageUpload.js
+import multer from "multer";
+import { ALLOWED_IMAGE_TYPES } from "../utils/uploads.js";
+
+export const MAX_FILES_PER_REQUEST = 8;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024; // 5 MB per file
+
+/**
+ * Parse multipart `images` fields into memory (req.files).
+ * Only declared image types pass here; utils/uploads.js re-checks the bytes.
+ * UPLOAD_MAX_BYTES overrides the per-file size limit.
+ */
+export const imageUpload = (req, res, next) => {
+  const parser = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: Number(process.env.UPLOAD_MAX_BYTES) || DEFAULT_MAX_BYTES,
+      files: MAX_FILES_PER_REQUEST,
+    },
+    fileFilter: (req, file, cb) => {
+      if (ALLOWED_IMAGE_TYPES[file.mimetype]) return cb(null, true);
+      const err = new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname);
+      err.message = `${file.originalname}: only ${Object.keys(ALLOWED_IMAGE_TYPES).join(", ")} are allowed`;
+      cb(err);
+    },
+  }).array("images", MAX_FILES_PER_REQUEST);
+
+  parser(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      return res.status(status).json({ success: false, message: err.message });
+    }
+    next(err);
+  });
+};
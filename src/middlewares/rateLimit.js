@@ -9,3 +9,12 @@ export const authLimiter = rateLimit({
   max: 15, // max 5 attempts
   message: { message: "Too many attempts, please try again later." },
 });
+
+/**
+ * Limiter for image uploads (per IP)
+ */
+export const uploadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: { message: "Too many uploads, please try again later." },
+});
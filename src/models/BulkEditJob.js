@@ -0,0 +1,62 @@
+// src/models/BulkEditJob.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+export const BULK_EDIT_STATUSES = ["queued", "running", "completed", "failed"];
+
+// Failures kept per job; the counters still cover every product
+export const MAX_RECORDED_FAILURES = 100;
+
+/** -------------------------
+ * Sub-schemas
+ * --------------------------*/
+const FailureSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Product" },
+    sku: { type: String },
+    message: { type: String },
+  },
+  { _id: false }
+);
+
+/** -------------------------
+ * Bulk Edit Job Schema
+ * --------------------------*/
+// One admin bulk edit: the filter and operations as submitted, plus progress
+const BulkEditJobSchema = new Schema(
+  {
+    filter: { type: Schema.Types.Mixed, required: true },
+    operations: { type: [Schema.Types.Mixed], required: true },
+    status: { type: String, enum: BULK_EDIT_STATUSES, default: "queued", index: true },
+
+    matched: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    failures: { type: [FailureSchema], default: [] },
+
+    error: { type: String },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    createdBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+  },
+  { timestamps: true }
+);
+
+BulkEditJobSchema.index({ createdAt: -1 });
+
+/** -------------------------
+ * toJSON transform
+ * --------------------------*/
+if (!BulkEditJobSchema.options.toJSON) BulkEditJobSchema.options.toJSON = {};
+BulkEditJobSchema.options.toJSON.transform = function (doc, ret) {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+const BulkEditJob = model("BulkEditJob", BulkEditJobSchema);
+export default BulkEditJob;
@@ -0,0 +1,117 @@
+// src/models/Bundle.js
+import mongoose from "mongoose";
+import { ImageSubSchema } from "./sharedSchemas.js";
+import { slugify } from "../utils/slugify.js";
+
+const { Schema, model } = mongoose;
+
+/** -------------------------
+ * Sub-schemas
+ * --------------------------*/
+// A component fixes size/colour, or leaves them for the shopper to pick
+const BundleComponentSchema = new Schema({
+  product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+  size: { type: String, trim: true },
+  color: { type: String, trim: true },
+  quantity: { type: Number, min: 1, default: 1 },
+});
+
+/** -------------------------
+ * Bundle / Combo Offer Schema
+ * --------------------------*/
+const BundleSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    slug: { type: String, unique: true, lowercase: true, trim: true, index: true },
+    description: { type: String, trim: true },
+    images: { type: [ImageSubSchema], default: [] },
+
+    components: { type: [BundleComponentSchema], default: [] },
+
+    // One price for the whole set; sale campaigns do not stack on it
+    price: { type: Number, required: true, min: [0, "Price must be positive"] },
+
+    // Optional offer window (open-ended when unset)
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    isActive: { type: Boolean, default: true },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+  },
+  { timestamps: true }
+);
+
+BundleSchema.index({ "components.product": 1 });
+BundleSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+/** -------------------------
+ * Validation & slug
+ * --------------------------*/
+BundleSchema.pre("validate", function (next) {
+  const units = (this.components || []).reduce((s, c) => s + (Number(c.quantity) || 0), 0);
+  if (units < 2) {
+    this.invalidate("components", "A bundle needs at least two items");
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "endsAt must be after startsAt");
+  }
+  next();
+});
+
+BundleSchema.pre("save", async function (next) {
+  try {
+    // slugs stay put on rename so shared links keep working
+    if (this.isModified("slug") || !this.slug) {
+      const base = slugify(this.slug || this.name) || "bundle";
+      let candidate = base;
+      let i = 0;
+      while (await this.constructor.exists({ slug: candidate, _id: { $ne: this._id } })) {
+        i++;
+        candidate = `${base}-${i}`;
+      }
+      this.slug = candidate;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** -------------------------
+ * Methods / Statics
+ * --------------------------*/
+
+// 🔹 Offered right now?
+BundleSchema.methods.isLive = function (at = new Date()) {
+  return (
+    this.isActive &&
+    (!this.startsAt || this.startsAt <= at) &&
+    (!this.endsAt || this.endsAt > at)
+  );
+};
+
+// 🔹 Mongo filter for bundles offered at the given moment
+BundleSchema.statics.liveFilter = function (at = new Date()) {
+  return {
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] },
+    ],
+  };
+};
+
+/** -------------------------
+ * toJSON transform
+ * --------------------------*/
+if (!BundleSchema.options.toJSON) BundleSchema.options.toJSON = {};
+BundleSchema.options.toJSON.transform = function (doc, ret) {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+const Bundle = model("Bundle", BundleSchema);
+export default Bundle;
@@ -6,10 +6,32 @@ const { Schema, model } = mongoose;
 /** -------------------------
  * Sub-schema: Cart Item
  * --------------------------*/
-const CartItemSchema = new Schema(
+// One unit of a bundle line: the component resolved to a size/colour
+const BundleItemSchema = new Schema(
   {
+    componentId: { type: Schema.Types.ObjectId, required: true },
     product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
     size: { type: String },
+    color: { type: String },
+    quantity: { type: Number, required: true, min: 1, default: 1 },
+  },
+  { _id: false }
+);
+
+const CartItemSchema = new Schema(
+  {
+    // a line is either a product or a bundle of products
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: function () {
+        return !this.bundle;
+      },
+    },
+    bundle: { type: Schema.Types.ObjectId, ref: "Bundle" },
+    bundleItems: { type: [BundleItemSchema], default: undefined },
+    size: { type: String },
+    color: { type: String },
     quantity: { type: Number, required: true, min: 1, default: 1 },
     price: { type: Number, required: true, default: 0 }, // snapshot price
   },
@@ -52,11 +74,17 @@ CartSchema.pre("save", function (next) {
   next();
 });
 
-// 🔹 Cleanup invalid cart items (deleted product/variant)
+// 🔹 Cleanup invalid cart items (deleted product/variant, ended bundle)
 CartSchema.methods.cleanupItems = async function () {
   let changed = false;
 
-  const productIds = [...new Set(this.items.map((i) => String(i.product)))];
+  const productIds = [
+    ...new Set(
+      this.items.flatMap((i) =>
+        i.bundle ? (i.bundleItems || []).map((b) => String(b.product)) : [String(i.product)]
+      )
+    ),
+  ];
   if (productIds.length === 0) return this;
 
   const ProductModel =
@@ -64,12 +92,39 @@ CartSchema.methods.cleanupItems = async function () {
 
   const products = await ProductModel.find({ _id: { $in: productIds } }).lean();
   const productMap = new Map(products.map((p) => [String(p._id), p]));
+  const isListed = (product) =>
+    product && (product.status || "active") === "active" && product.isActive !== false;
+
+  const bundleIds = [...new Set(this.items.filter((i) => i.bundle).map((i) => String(i.bundle)))];
+  let bundleMap = new Map();
+  if (bundleIds.length) {
+    const BundleModel = mongoose.models.Bundle || (await import("./Bundle.js")).default;
+    const bundles = await BundleModel.find({ _id: { $in: bundleIds } });
+    bundleMap = new Map(bundles.map((b) => [String(b._id), b]));
+  }
 
   for (let i = this.items.length - 1; i >= 0; i--) {
     const item = this.items[i];
+
+    if (item.bundle) {
+      const bundle = bundleMap.get(String(item.bundle));
+      const componentIds = new Set((bundle?.components || []).map((c) => String(c._id)));
+      const stale =
+        !bundle ||
+        !bundle.isLive() ||
+        (item.bundleItems || []).some(
+          (b) => !componentIds.has(String(b.componentId)) || !isListed(productMap.get(String(b.product)))
+        );
+      if (stale) {
+        this.items.splice(i, 1);
+        changed = true;
+      }
+      continue;
+    }
+
     const product = productMap.get(String(item.product));
 
-    if (!product) {
+    if (!isListed(product)) {
       this.items.splice(i, 1);
       changed = true;
       continue;
@@ -81,6 +136,17 @@ CartSchema.methods.cleanupItems = async function () {
       changed = true;
       continue;
     }
+
+    // check colour exists
+    const colorName = String(item.color || "").toLowerCase();
+    if (
+      colorName &&
+      !(product.colors || []).some((c) => c.name.toLowerCase() === colorName)
+    ) {
+      this.items.splice(i, 1);
+      changed = true;
+      continue;
+    }
   }
 
   if (changed) {
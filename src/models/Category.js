@@ -0,0 +1,145 @@
+// src/models/Category.js
+import mongoose from "mongoose";
+import { ImageSubSchema, TranslationSubSchema } from "./sharedSchemas.js";
+import { slugify } from "../utils/slugify.js";
+
+const { Schema, model } = mongoose;
+
+// Case-insensitive comparison for category names
+const NAME_COLLATION = { locale: "en", strength: 2 };
+
+/** -------------------------
+ * Category Schema
+ * --------------------------*/
+const CategorySchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    description: { type: String, trim: true },
+    image: { type: ImageSubSchema },
+
+    // Tree
+    parent: { type: Schema.Types.ObjectId, ref: "Category", default: null, index: true },
+    ancestors: [{ type: Schema.Types.ObjectId, ref: "Category" }], // root → parent
+    sortOrder: { type: Number, default: 0 },
+
+    isActive: { type: Boolean, default: true },
+
+    // SEO
+    metaTitle: { type: String, trim: true },
+    metaDescription: { type: String, trim: true },
+    keywords: [{ type: String, trim: true }],
+
+    // Localized content, keyed by locale ("hi", ...)
+    translations: { type: Map, of: TranslationSubSchema, default: undefined },
+  },
+  { timestamps: true }
+);
+
+/** -------------------------
+ * Indexes
+ * --------------------------*/
+// "Tees" and "tees" cannot coexist under the same parent
+CategorySchema.index(
+  { parent: 1, name: 1 },
+  { unique: true, collation: NAME_COLLATION }
+);
+CategorySchema.index({ ancestors: 1 });
+
+/** -------------------------
+ * Statics
+ * --------------------------*/
+
+// 🔹 Look up by slug or (case-insensitive) name, optionally under a parent
+// (null for top level) and among active categories only
+CategorySchema.statics.findByNameOrSlug = function (value, parentId, { activeOnly = false } = {}) {
+  if (!value) return null;
+  const text = String(value).trim();
+  const query = { $or: [{ slug: text.toLowerCase() }, { name: text }] };
+  if (typeof parentId !== "undefined") query.parent = parentId;
+  if (activeOnly) query.isActive = true;
+  return this.findOne(query).collation(NAME_COLLATION).sort({ parent: 1 });
+};
+
+// 🔹 Products filed under a category. Products store names: a top-level
+// category is product.category, a subcategory is product.subCategory
+// under its parent's name.
+CategorySchema.statics.productFilter = function (name, parentName = null) {
+  return parentName ? { category: parentName, subCategory: name } : { category: name };
+};
+
+// 🔹 Filter and $set that carry a category rename over to its products
+CategorySchema.statics.productRename = function (oldName, newName, parentName = null) {
+  return {
+    filter: this.productFilter(oldName, parentName),
+    update: { $set: parentName ? { subCategory: newName } : { category: newName } },
+  };
+};
+
+// 🔹 Nest a flat, pre-sorted list of categories into a tree
+CategorySchema.statics.buildTree = function (categories = []) {
+  const nodes = new Map(
+    categories.map((c) => [String(c._id), { ...c, children: [] }])
+  );
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(String(node.parent));
+    if (parent) parent.children.push(node);
+    else if (!node.parent) roots.push(node);
+  }
+  return roots;
+};
+
+/** -------------------------
+ * Pre-save hook
+ * --------------------------*/
+CategorySchema.pre("save", async function (next) {
+  try {
+    if (this.isModified("parent") || this.isNew) {
+      if (this.parent) {
+        const parent = await this.constructor.findById(this.parent).lean();
+        if (!parent) throw new Error("Parent category not found");
+        this.ancestors = [...(parent.ancestors || []), parent._id];
+      } else {
+        this.ancestors = [];
+      }
+    }
+
+    if (!this.slug || this.isModified("slug") || this.isModified("name")) {
+      const base = slugify(this.isModified("slug") && this.slug ? this.slug : this.name);
+      let candidate = base || slugify(String(this._id));
+      let i = 0;
+      while (
+        await this.constructor.exists({ slug: candidate, _id: { $ne: this._id } })
+      ) {
+        i++;
+        candidate = `${base}-${i}`;
+      }
+      this.slug = candidate;
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** -------------------------
+ * toJSON transform
+ * --------------------------*/
+if (!CategorySchema.options.toJSON) CategorySchema.options.toJSON = {};
+CategorySchema.options.toJSON.transform = function (doc, ret) {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+const Category = model("Category", CategorySchema);
+export default Category;
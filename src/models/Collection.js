@@ -0,0 +1,133 @@
+// src/models/Collection.js
+import mongoose from "mongoose";
+import { ImageSubSchema } from "./sharedSchemas.js";
+import { slugify } from "../utils/slugify.js";
+import { RULE_FIELDS, RULE_OPERATORS } from "../utils/collectionRules.js";
+
+const { Schema, model } = mongoose;
+
+export const COLLECTION_SORTS = ["manual", "newest", "price_asc", "price_desc", "rating", "name"];
+
+/** -------------------------
+ * Sub-schemas
+ * --------------------------*/
+const RuleConditionSchema = new Schema(
+  {
+    field: { type: String, enum: Object.keys(RULE_FIELDS), required: true },
+    op: { type: String, enum: RULE_OPERATORS, required: true },
+    value: { type: Schema.Types.Mixed, required: true },
+  },
+  { _id: false }
+);
+
+/** -------------------------
+ * Collection / Lookbook Schema
+ * --------------------------*/
+const CollectionSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    slug: { type: String, unique: true, lowercase: true, trim: true, index: true },
+    description: { type: String, trim: true },
+    heroImages: { type: [ImageSubSchema], default: [] },
+
+    // manual: hand-picked products in display order; rule: products matching rules
+    type: { type: String, enum: ["manual", "rule"], default: "manual" },
+    products: [{ type: Schema.Types.ObjectId, ref: "Product" }],
+    rules: {
+      match: { type: String, enum: ["all", "any"], default: "all" },
+      conditions: { type: [RuleConditionSchema], default: [] },
+    },
+    sort: { type: String, enum: COLLECTION_SORTS, default: "manual" },
+
+    // Position among collections on the storefront (lower first)
+    sortOrder: { type: Number, default: 0 },
+
+    // Optional visibility window (open-ended when unset)
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    isActive: { type: Boolean, default: true },
+
+    // SEO
+    metaTitle: { type: String, trim: true },
+    metaDescription: { type: String, trim: true },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+  },
+  { timestamps: true }
+);
+
+CollectionSchema.index({ isActive: 1, sortOrder: 1 });
+CollectionSchema.index({ products: 1 });
+
+/** -------------------------
+ * Validation & slug
+ * --------------------------*/
+CollectionSchema.pre("validate", function (next) {
+  if (this.type === "rule" && !this.rules?.conditions?.length) {
+    this.invalidate("rules", "A rule-based collection needs at least one condition");
+  }
+  // rule collections have no manual order to fall back on
+  if (this.type === "rule" && this.sort === "manual") this.sort = "newest";
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "endsAt must be after startsAt");
+  }
+  next();
+});
+
+CollectionSchema.pre("save", async function (next) {
+  try {
+    // slugs stay put on rename so shared links keep working
+    if (this.isModified("slug") || !this.slug) {
+      const base = slugify(this.slug || this.name) || "collection";
+      let candidate = base;
+      let i = 0;
+      while (await this.constructor.exists({ slug: candidate, _id: { $ne: this._id } })) {
+        i++;
+        candidate = `${base}-${i}`;
+      }
+      this.slug = candidate;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+/** -------------------------
+ * Methods / Statics
+ * --------------------------*/
+
+// 🔹 Visible right now?
+CollectionSchema.methods.isLive = function (at = new Date()) {
+  return (
+    this.isActive &&
+    (!this.startsAt || this.startsAt <= at) &&
+    (!this.endsAt || this.endsAt > at)
+  );
+};
+
+// 🔹 Mongo filter for collections visible at the given moment
+CollectionSchema.statics.liveFilter = function (at = new Date()) {
+  return {
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] },
+    ],
+  };
+};
+
+/** -------------------------
+ * toJSON transform
+ * --------------------------*/
+if (!CollectionSchema.options.toJSON) CollectionSchema.options.toJSON = {};
+CollectionSchema.options.toJSON.transform = function (doc, ret) {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+const Collection = model("Collection", CollectionSchema);
+export default Collection;
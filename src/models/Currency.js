@@ -0,0 +1,77 @@
+// src/models/Currency.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+export const ROUNDING_MODES = ["nearest", "up", "down"];
+
+/** -------------------------
+ * Display Currency Schema
+ * --------------------------*/
+// Prices are stored and settled in the base currency (BASE_CURRENCY, INR by
+// default); these records only convert them for display.
+const CurrencySchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, "Currency code must be a 3-letter ISO code"],
+    },
+    name: { type: String, trim: true },
+    symbol: { type: String, trim: true },
+    decimals: { type: Number, min: 0, max: 4, default: 2 },
+
+    // Units of this currency per 1 unit of the base currency
+    rate: {
+      type: Number,
+      required: true,
+      validate: { validator: (v) => v > 0, message: "Rate must be positive" },
+    },
+    rateUpdatedAt: { type: Date },
+
+    // e.g. { increment: 0.05 } → 12.35; { increment: 1, ending: 0.99 } → 12.99
+    rounding: {
+      increment: { type: Number, min: 0, default: 0.01 },
+      mode: { type: String, enum: ROUNDING_MODES, default: "nearest" },
+      // unit prices only; needs decimals, or .99 would round to the next unit
+      ending: {
+        type: Number,
+        min: 0,
+        max: 0.99,
+        default: null,
+        validate: {
+          validator(v) {
+            return v === null || this.decimals > 0;
+          },
+          message: "A price ending needs a currency with decimals",
+        },
+      },
+    },
+
+    isActive: { type: Boolean, default: true },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+  },
+  { timestamps: true }
+);
+
+CurrencySchema.pre("save", function (next) {
+  if (this.isModified("rate")) this.rateUpdatedAt = new Date();
+  next();
+});
+
+/** -------------------------
+ * toJSON transform
+ * --------------------------*/
+if (!CurrencySchema.options.toJSON) CurrencySchema.options.toJSON = {};
+CurrencySchema.options.toJSON.transform = function (doc, ret) {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+const Currency = model("Currency", CurrencySchema);
+export default Currency;
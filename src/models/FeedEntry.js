@@ -0,0 +1,60 @@
+// src/models/FeedEntry.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+/**
+ * Precomputed sitemap / merchant feed data, one entry per product.
+ * Product hooks stamp `staleAt`; utils/productFeed.js rebuilds only those
+ * entries before serving, so feeds regenerate incrementally.
+ * Links are stored as paths; the storefront origin is applied at render time.
+ */
+const FeedEntrySchema = new Schema(
+  {
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+      unique: true,
+    },
+    staleAt: { type: Date, default: Date.now, index: true }, // null once rebuilt
+    listed: { type: Boolean, default: false }, // only active products are published
+
+    path: { type: String, trim: true }, // e.g. /products/linen-kurta
+    lastmod: { type: Date },
+
+    // Merchant feed attributes
+    item: {
+      id: String, // sku
+      title: String,
+      description: String,
+      imageLink: String,
+      additionalImageLinks: [String],
+      price: Number, // regular price
+      finalPrice: Number, // after product discount
+      availability: { type: String, enum: ["in_stock", "out_of_stock", "backorder"] },
+      availabilityDate: Date,
+      brand: String,
+      gender: String,
+      ageGroup: String,
+      sizes: [String],
+      colors: [String],
+      material: String,
+      productType: String,
+      itemGroupId: String,
+      shippingWeightGrams: Number,
+      // kept so live sale campaigns can be matched at render time
+      category: String,
+      subCategory: String,
+      tags: [String],
+    },
+
+    generatedAt: { type: Date },
+  },
+  { timestamps: false }
+);
+
+FeedEntrySchema.index({ listed: 1, lastmod: -1 });
+
+const FeedEntry = model("FeedEntry", FeedEntrySchema);
+export default FeedEntry;
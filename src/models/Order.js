@@ -1,5 +1,6 @@
 // src/models/Order.js
 import mongoose from "mongoose";
+import { baseCurrencyCode } from "../utils/currency.js";
 
 const { Schema, model } = mongoose;
 
@@ -10,9 +11,25 @@ const OrderItemSchema = new Schema(
     productName: { type: String, required: true },
     sku: { type: String }, 
     size: { type: String },
+    color: { type: String },
+    colorHex: { type: String },
+    image: { type: String }, // colour-specific thumbnail at time of order
     quantity: { type: Number, required: true, min: 1 },
     price: { type: Number, required: true },
+    regularPrice: { type: Number }, // price before any sale campaign
+    sale: { type: Schema.Types.ObjectId, ref: "Sale" },
     lineTotal: { type: Number, required: true }, 
+
+    // Backorders: units still waiting for stock; the line can't ship until 0
+    backorderedQuantity: { type: Number, default: 0, min: 0 },
+    expectedShipDate: { type: Date },
+    backorderFulfilledAt: { type: Date },
+
+    // Bundle purchases: one line per component; lines of the same cart line share a bundleGroup
+    bundle: { type: Schema.Types.ObjectId, ref: "Bundle" },
+    bundleName: { type: String },
+    bundleGroup: { type: String },
+    bundleQuantity: { type: Number, min: 1 },
   },
   { _id: false }
 );
@@ -54,6 +71,18 @@ const OrderSchema = new Schema(
     discount: { type: Number, required: true, default: 0 }, // total discount amount
     total: { type: Number, required: true, default: 0 }, // final payable
 
+    // amounts above are in the settlement currency; the shopper's display
+    // currency and the rate/rounding used at checkout are kept for order views
+    currency: { type: String, uppercase: true, default: () => baseCurrencyCode() },
+    displayCurrency: { type: String, uppercase: true },
+    exchangeRate: { type: Number }, // display units per settlement unit
+    currencyRounding: {
+      increment: { type: Number },
+      mode: { type: String },
+      ending: { type: Number },
+      decimals: { type: Number },
+    },
+
     shippingAddress: AddressSchema,
     billingAddress: AddressSchema,
 
@@ -79,6 +108,11 @@ const OrderSchema = new Schema(
   { timestamps: true }
 );
 
+// Lines still waiting on stock keep the whole order from shipping
+OrderSchema.methods.hasPendingBackorders = function () {
+  return this.items.some((it) => Number(it.backorderedQuantity) > 0);
+};
+
 // Small helper to compute totals server-side if needed
 OrderSchema.methods.computeTotals = function () {
   this.subTotal = this.items.reduce((s, it) => s + Number(it.lineTotal || 0), 0);
@@ -89,5 +123,14 @@ OrderSchema.methods.computeTotals = function () {
   this.total = Math.round((this.subTotal + this.tax + this.shipping - (this.discount || 0)) * 100) / 100;
 };
 
+// Has the user received this product? (bundle component lines count too)
+OrderSchema.statics.hasDeliveredProduct = function (userId, productId) {
+  return this.exists({ user: userId, status: "delivered", "items.product": productId });
+};
+
+OrderSchema.index({ "items.product": 1, "items.backorderedQuantity": 1 });
+OrderSchema.index({ user: 1, "items.product": 1, status: 1 });
+OrderSchema.index({ createdAt: -1, _id: -1 });
+
 const Order = model("Order", OrderSchema);
 export default Order;
@@ -1,21 +1,13 @@
 // src/models/Product.js
 import mongoose from "mongoose";
+import { ImageSubSchema, TranslationSubSchema } from "./sharedSchemas.js";
+import { slugify } from "../utils/slugify.js";
 
 const { Schema, model } = mongoose;
 
 /** -------------------------
  * Helpers
  * --------------------------*/
-function slugify(text = "") {
-  return text
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-+|-+$/g, "");
-}
-
 function generateRandomSuffix(len = 5) {
   return Math.random().toString(36).slice(2, 2 + len).toUpperCase();
 }
@@ -42,46 +34,102 @@ function computeFinalPrice(price, discount) {
   return Math.max(0, Math.round((p - (p * d) / 100) * 100) / 100);
 }
 
-function computeRatingsFromReviews(reviews = []) {
-  if (!Array.isArray(reviews)) return { average: 0, count: 0 };
-  // only approved reviews count
-  const approved = reviews.filter(
-    (r) => r && typeof r.rating === "number" && r.status === "approved"
+function sizeCode(size = "") {
+  return String(size).replace(/[^A-Z0-9]/gi, "").toUpperCase() || "NA";
+}
+
+function sameColor(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+// Fill in variant SKUs (derived from the product SKU) where missing
+function deriveVariantSkus(variants = [], baseSku = "PRD") {
+  for (const v of variants) {
+    if (!v || v.sku) continue;
+    v.sku = v.color
+      ? `${baseSku}-${sizeCode(v.color)}-${sizeCode(v.size)}`
+      : `${baseSku}-${sizeCode(v.size)}`;
+  }
+  return variants;
+}
+
+// Product-level stock & sizes mirror the variants when variants exist
+function summarizeVariants(variants = []) {
+  return {
+    stock: variants.reduce((s, v) => s + (Number(v.stock) || 0), 0),
+    sizes: [...new Set(variants.map((v) => v.size))],
+  };
+}
+
+// Drop a product that is gone or no longer sellable from every cart holding it
+async function cleanupCartsForProduct(productId) {
+  const CartModel = mongoose.models.Cart || (await import("./Cart.js")).default;
+  const carts = await CartModel.find({
+    $or: [{ "items.product": productId }, { "items.bundleItems.product": productId }],
+  });
+  for (const cart of carts) {
+    if (typeof cart.cleanupItems === "function") {
+      await cart.cleanupItems();
+    } else {
+      cart.items = (cart.items || []).filter(
+        (it) =>
+          String(it.product) !== String(productId) &&
+          !(it.bundleItems || []).some((b) => String(b.product) === String(productId))
+      );
+      await cart.save();
+    }
+  }
+}
+
+// Flag sitemap/feed entries for rebuild (see utils/productFeed.js)
+async function markFeedStale(productIds = []) {
+  const ids = [].concat(productIds).filter(Boolean);
+  if (!ids.length) return;
+  const FeedEntryModel =
+    mongoose.models.FeedEntry || (await import("./FeedEntry.js")).default;
+  await FeedEntryModel.bulkWrite(
+    ids.map((id) => ({
+      updateOne: {
+        filter: { product: id },
+        update: { $set: { staleAt: new Date() } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
   );
-  const count = approved.length;
-  const average =
-    count === 0
-      ? 0
-      : approved.reduce((s, r) => s + Number(r.rating || 0), 0) / count;
-  return { average: Math.round(average * 10) / 10, count };
 }
 
 /** -------------------------
  * Sub-schemas
  * --------------------------*/
-const ImageSubSchema = new Schema(
+const VariantSubSchema = new Schema(
   {
-    url: { type: String, required: true, trim: true },
-    alt: { type: String, trim: true },
+    size: { type: String, required: true, trim: true },
+    color: { type: String, trim: true }, // matches a name in product.colors
+    sku: { type: String, trim: true },
+    stock: {
+      type: Number,
+      required: true,
+      min: [0, "Variant stock cannot be negative"],
+      default: 0,
+    },
+    // optional override of the product price for this size
+    price: { type: Number, min: [0, "Variant price must be positive"] },
   },
-  { _id: false }
+  { _id: true }
 );
 
-const ReviewSchema = new Schema(
+const ColorSubSchema = new Schema(
   {
-    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
-    rating: { type: Number, required: true, min: 1, max: 5 },
-    title: { type: String, trim: true },
-    comment: { type: String, trim: true },
-    images: [ImageSubSchema],
-    helpfulCount: { type: Number, default: 0 },
-    status: {
+    name: { type: String, required: true, trim: true },
+    hex: {
       type: String,
-      enum: ["pending", "approved", "rejected"],
-      default: "approved",
+      trim: true,
+      match: [/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i, "Invalid hex colour"],
     },
+    images: { type: [ImageSubSchema], default: [] },
   },
-  { timestamps: true }
+  { _id: true }
 );
 
 /** -------------------------
@@ -123,10 +171,15 @@ const ProductSchema = new Schema(
     },
     lowStockThreshold: { type: Number, default: 5, min: 0 },
     allowBackorder: { type: Boolean, default: false },
+    backorderLeadDays: { type: Number, default: 14, min: 0 }, // restock lead time
+    restockDate: { type: Date }, // expected restock, overrides lead time when in the future
     sku: { type: String, unique: true, trim: true, index: true },
 
     // Clothing-specific multiple fields
     sizes: [{ type: String, trim: true }],  // e.g., ["S", "M", "L", "XL"]
+    colors: { type: [ColorSubSchema], default: [] },
+    // Size/colour-level inventory; when present, `stock` and `sizes` are derived from it
+    variants: { type: [VariantSubSchema], default: [] },
 
     material: { type: String, trim: true },
     gender: { type: String, enum: ["Men", "Women", "Unisex", "Boys", "Girls"], trim: true },
@@ -152,15 +205,25 @@ const ProductSchema = new Schema(
     returnable: { type: Boolean, default: true },
     returnPeriodDays: { type: Number, default: 30, min: 0 },
 
-    // Ratings & Reviews
+    // Ratings summary of approved reviews (kept by Review.syncProductRatings)
     ratings: {
       average: { type: Number, min: 0, max: 5, default: 0 },
       count: { type: Number, default: 0 },
     },
-    reviews: { type: [ReviewSchema], default: [] },
 
     // Flags
-    isActive: { type: Boolean, default: true },
+    isActive: { type: Boolean, default: true }, // mirrors status === "active"
+    // Lifecycle: drafts and archived products are hidden from shoppers
+    status: {
+      type: String,
+      enum: ["draft", "active", "archived"],
+      // legacy documents only carry isActive
+      default: function () {
+        return this.isActive === false ? "draft" : "active";
+      },
+      index: true,
+    },
+    archivedAt: { type: Date, default: null },
     isFeatured: { type: Boolean, default: false },
     isNewArrival: { type: Boolean, default: false },
 
@@ -169,9 +232,12 @@ const ProductSchema = new Schema(
     metaDescription: { type: String, trim: true },
     keywords: [{ type: String, trim: true }],
 
+    // Localized content, keyed by locale ("hi", ...)
+    translations: { type: Map, of: TranslationSubSchema, default: undefined },
+
     // Audit
-    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
-    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    createdBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
   },
   { timestamps: true }
 );
@@ -192,33 +258,83 @@ ProductSchema.index(
 
 ProductSchema.index({ category: 1, subCategory: 1 });
 ProductSchema.index({ price: 1 });
-ProductSchema.index({ finalPrice: 1 });
+// Cursor pagination keys (sort field + _id tie-breaker)
+ProductSchema.index({ finalPrice: 1, _id: 1 });
+ProductSchema.index({ createdAt: -1, _id: -1 });
+ProductSchema.index({ "ratings.average": -1, _id: -1 });
+ProductSchema.index({ "colors.name": 1 });
+ProductSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
 
 /** -------------------------
  * Instance / Static Methods
  * --------------------------*/
-ProductSchema.methods.recalculateRatings = async function () {
-  const { average, count } = computeRatingsFromReviews(this.reviews || []);
-  this.ratings = { average, count };
-  return this.save();
+ProductSchema.methods.hasVariants = function () {
+  return Array.isArray(this.variants) && this.variants.length > 0;
 };
 
-ProductSchema.methods.addReview = async function (review = {}) {
-  this.reviews.push(review);
-  const { average, count } = computeRatingsFromReviews(this.reviews);
-  this.ratings = { average, count };
-  return this.save();
+ProductSchema.methods.findVariant = function (size, color) {
+  if (!this.hasVariants() || !size) return null;
+  return (
+    this.variants.find((v) => v.size === size && sameColor(v.color, color)) ||
+    null
+  );
 };
 
-ProductSchema.methods.removeReviewById = async function (reviewId) {
-  const beforeCount = (this.reviews || []).length;
-  this.reviews = (this.reviews || []).filter(
-    (r) => String(r._id) !== String(reviewId)
-  );
-  if ((this.reviews || []).length === beforeCount) return this;
-  const { average, count } = computeRatingsFromReviews(this.reviews);
-  this.ratings = { average, count };
-  return this.save();
+ProductSchema.methods.findColor = function (name) {
+  if (!name) return null;
+  return (this.colors || []).find((c) => sameColor(c.name, name)) || null;
+};
+
+// Colour gallery when the colour has one, otherwise the product images
+ProductSchema.methods.imagesFor = function (color) {
+  const match = this.findColor(color);
+  return match?.images?.length ? match.images : this.images || [];
+};
+
+// Stock available for a size/colour (falls back to product stock without variants)
+ProductSchema.methods.availableStock = function (size, color) {
+  if (!this.hasVariants()) return Number(this.stock) || 0;
+  const variant = this.findVariant(size, color);
+  return variant ? Number(variant.stock) || 0 : 0;
+};
+
+// Final (discounted) unit price for a size/colour, honoring variant price overrides
+ProductSchema.methods.priceFor = function (size, color) {
+  const variant = this.findVariant(size, color);
+  const base =
+    variant && typeof variant.price === "number" ? variant.price : this.price;
+  return computeFinalPrice(base, this.discount) || 0;
+};
+
+// Apply a stock delta (negative to deduct) to the matching variant or product
+ProductSchema.methods.adjustStock = function (size, delta, color) {
+  const variant = this.findVariant(size, color);
+  if (variant) {
+    variant.stock = Math.max(0, (Number(variant.stock) || 0) + delta);
+  } else {
+    this.stock = Math.max(0, (Number(this.stock) || 0) + delta);
+  }
+  return this;
+};
+
+// When a backordered unit ordered now is expected to ship
+ProductSchema.methods.expectedBackorderShipDate = function (from = new Date()) {
+  if (this.restockDate && this.restockDate > from) return this.restockDate;
+  const days = Number(this.backorderLeadDays ?? 14);
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+// Sellable and visible on the storefront
+ProductSchema.methods.isAvailable = function () {
+  return (this.status || "active") === "active" && this.isActive !== false;
+};
+
+// Query filter for shopper-facing reads (documents without status are legacy actives)
+ProductSchema.statics.publicFilter = function () {
+  return { status: { $in: ["active", null] }, isActive: { $ne: false } };
 };
 
 ProductSchema.statics.findBySlug = function (slug) {
@@ -256,9 +372,15 @@ ProductSchema.pre("save", async function (next) {
       this.sku = await generateUniqueSku(this.constructor, baseSku);
     }
 
-    if (this.isModified("reviews")) {
-      const { average, count } = computeRatingsFromReviews(this.reviews || []);
-      this.ratings = { average, count };
+    this.isActive = this.status === "active";
+    if (this.status === "archived" && !this.archivedAt) this.archivedAt = new Date();
+    if (this.status !== "archived") this.archivedAt = null;
+
+    if (this.hasVariants()) {
+      deriveVariantSkus(this.variants, this.sku);
+      const { stock, sizes } = summarizeVariants(this.variants);
+      this.stock = stock;
+      this.sizes = sizes;
     }
 
     next();
@@ -277,8 +399,6 @@ ProductSchema.pre("findOneAndUpdate", async function (next) {
       update = { $set: { ...update } };
     }
     const $set = update.$set || {};
-    const $push = update.$push || {};
-    const $pull = update.$pull || {};
 
     const query = this.getQuery();
     const docToUpdate = await this.model.findOne(query).lean();
@@ -315,29 +435,33 @@ ProductSchema.pre("findOneAndUpdate", async function (next) {
       $set.sku = docToUpdate.sku;
     }
 
-    let computedReviews = null;
-    if (typeof $set.reviews !== "undefined") {
-      computedReviews = Array.isArray($set.reviews) ? $set.reviews : [];
-    } else if ($push.reviews) {
-      const toPush = $push.reviews;
-      let incoming = [];
-      if (toPush && typeof toPush === "object" && Array.isArray(toPush.$each)) {
-        incoming = toPush.$each;
-      } else if (Array.isArray(toPush)) {
-        incoming = toPush;
-      } else {
-        incoming = [toPush];
+    if (Array.isArray($set.variants)) {
+      deriveVariantSkus($set.variants, $set.sku || "PRD");
+      if ($set.variants.length) {
+        const { stock, sizes } = summarizeVariants($set.variants);
+        $set.stock = stock;
+        $set.sizes = sizes;
       }
-      computedReviews = [...(docToUpdate?.reviews || []), ...incoming];
-    } else if ($pull && $pull.reviews && $pull.reviews._id) {
-      computedReviews = (docToUpdate?.reviews || []).filter(
-        (r) => String(r._id) !== String($pull.reviews._id)
-      );
+    } else if ("stock" in $set && docToUpdate?.variants?.length) {
+      // stock of a product with variants is their sum; change it per variant
+      delete $set.stock;
     }
 
-    if (computedReviews !== null) {
-      const { average, count } = computeRatingsFromReviews(computedReviews);
-      $set.ratings = { average, count };
+    // status is the source of truth; isActive-only updates map onto it
+    if (typeof $set.status === "undefined" && typeof $set.isActive === "boolean") {
+      $set.status = $set.isActive
+        ? "active"
+        : docToUpdate?.status === "archived"
+          ? "archived"
+          : "draft";
+    }
+    if (typeof $set.status !== "undefined") {
+      $set.isActive = $set.status === "active";
+      if ($set.status === "archived") {
+        $set.archivedAt = docToUpdate?.archivedAt || new Date();
+      } else {
+        $set.archivedAt = null;
+      }
     }
 
     update.$set = $set;
@@ -349,35 +473,95 @@ ProductSchema.pre("findOneAndUpdate", async function (next) {
 });
 
 /** -------------------------
- * Post-delete cascade
+ * Post-delete / post-update cart cascade
  * --------------------------*/
+// Archiving keeps images, questions and reviews so a restore is lossless;
+// they are cleaned up when an archived product is purged (purgeProduct).
 ProductSchema.post(
   ["findOneAndDelete", "findByIdAndDelete"],
   async function (doc) {
     if (!doc?._id) return;
     try {
-      const CartModel =
-        mongoose.models.Cart || (await import("./Cart.js")).default;
-      const carts = await CartModel.find({ "items.product": doc._id });
-      for (const cart of carts) {
-        if (typeof cart.cleanupItems === "function") {
-          await cart.cleanupItems();
-        } else {
-          cart.items = (cart.items || []).filter(
-            (it) => String(it.product) !== String(doc._id)
-          );
-          await cart.save();
-        }
-      }
+      await cleanupCartsForProduct(doc._id);
     } catch (err) {
       console.error(
         "Error cleaning carts after product deletion:",
         err?.message || err
       );
     }
+    try {
+      const QuestionModel =
+        mongoose.models.ProductQuestion || (await import("./ProductQuestion.js")).default;
+      await QuestionModel.deleteMany({ product: doc._id });
+    } catch (err) {
+      console.error(
+        "Error removing questions after product deletion:",
+        err?.message || err
+      );
+    }
+    // uploaded images (and their thumbnails) used only by this product or its reviews
+    const { releaseImages, collectImageUrls } = await import("../utils/uploads.js");
+    let reviewImages = [];
+    try {
+      const ReviewModel = mongoose.models.Review || (await import("./Review.js")).default;
+      const reviews = await ReviewModel.find({ product: doc._id }).select("images").lean();
+      reviewImages = reviews.flatMap((r) => collectImageUrls(r));
+      await ReviewModel.deleteMany({ product: doc._id });
+    } catch (err) {
+      console.error(
+        "Error removing reviews after product deletion:",
+        err?.message || err
+      );
+    }
+    releaseImages([...collectImageUrls(doc), ...reviewImages]);
   }
 );
 
+ProductSchema.post("findOneAndUpdate", async function (doc) {
+  if (!doc?._id || doc.status === "active") return;
+  try {
+    await cleanupCartsForProduct(doc._id);
+  } catch (err) {
+    console.error(
+      "Error cleaning carts after product was unpublished:",
+      err?.message || err
+    );
+  }
+});
+
+/** -------------------------
+ * Feed invalidation (sitemap / merchant feed)
+ * --------------------------*/
+const markFeedStaleQuietly = (ids) =>
+  markFeedStale(ids).catch((err) =>
+    console.error("Error flagging product feed entries:", err?.message || err)
+  );
+
+ProductSchema.post("save", function (doc) {
+  markFeedStaleQuietly(doc._id);
+});
+
+ProductSchema.post(
+  ["findOneAndUpdate", "findOneAndDelete", "findByIdAndDelete"],
+  function (doc) {
+    if (doc?._id) markFeedStaleQuietly(doc._id);
+  }
+);
+
+// updateMany filters may stop matching after the update, so capture ids first
+ProductSchema.pre("updateMany", async function (next) {
+  try {
+    this._feedProductIds = await this.model.distinct("_id", this.getFilter());
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+ProductSchema.post("updateMany", function () {
+  markFeedStaleQuietly(this._feedProductIds);
+});
+
 /** -------------------------
  * toJSON transform
  * --------------------------*/
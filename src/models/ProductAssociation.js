@@ -0,0 +1,34 @@
+// src/models/ProductAssociation.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+const AssociatedProductSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    count: { type: Number, required: true }, // orders containing both products
+    confidence: { type: Number, required: true }, // count / orders containing the source product
+  },
+  { _id: false }
+);
+
+/**
+ * Precomputed "frequently bought together" list per product.
+ * Rebuilt by jobs/productAssociations.js from Order.items.
+ */
+const ProductAssociationSchema = new Schema(
+  {
+    product: {
+      type: Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+      unique: true,
+    },
+    boughtWith: { type: [AssociatedProductSchema], default: [] },
+    computedAt: { type: Date, required: true },
+  },
+  { timestamps: false }
+);
+
+const ProductAssociation = model("ProductAssociation", ProductAssociationSchema);
+export default ProductAssociation;
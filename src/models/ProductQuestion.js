@@ -0,0 +1,84 @@
+// src/models/ProductQuestion.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+export const MODERATION_STATUSES = ["pending", "approved", "rejected"];
+
+/** -------------------------
+ * Sub-schema: Answer
+ * --------------------------*/
+const AnswerSchema = new Schema(
+  {
+    body: { type: String, required: true, trim: true, maxlength: 2000 },
+    // admins answer for the store; users only once they've received the product
+    author: { type: Schema.Types.ObjectId, required: true, refPath: "answers.authorModel" },
+    authorModel: { type: String, enum: ["User", "Admin"], required: true },
+    authorName: { type: String, trim: true },
+    isVerifiedBuyer: { type: Boolean, default: false },
+
+    status: { type: String, enum: MODERATION_STATUSES, default: "pending" },
+    moderationNote: { type: String, trim: true },
+    moderatedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+    moderatedAt: { type: Date },
+
+    upvotedBy: { type: [{ type: Schema.Types.ObjectId, ref: "User" }], default: [] },
+    upvoteCount: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true }
+);
+
+/** -------------------------
+ * Product Question Schema
+ * --------------------------*/
+const ProductQuestionSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    authorName: { type: String, trim: true },
+    body: { type: String, required: true, trim: true, maxlength: 1000 },
+
+    status: { type: String, enum: MODERATION_STATUSES, default: "pending" },
+    moderationNote: { type: String, trim: true },
+    moderatedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+    moderatedAt: { type: Date },
+
+    answers: { type: [AnswerSchema], default: [] },
+    answerCount: { type: Number, default: 0 }, // approved answers only
+
+    upvotedBy: { type: [{ type: Schema.Types.ObjectId, ref: "User" }], default: [] },
+    upvoteCount: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true }
+);
+
+ProductQuestionSchema.index({ product: 1, status: 1, createdAt: -1 });
+ProductQuestionSchema.index({ product: 1, status: 1, upvoteCount: -1 });
+ProductQuestionSchema.index({ status: 1, createdAt: 1 });
+ProductQuestionSchema.index({ "answers.status": 1 });
+
+/** -------------------------
+ * Hooks
+ * --------------------------*/
+// 🔹 Keep answerCount in step with moderation
+ProductQuestionSchema.pre("save", function (next) {
+  this.answerCount = this.answers.filter((a) => a.status === "approved").length;
+  next();
+});
+
+/** -------------------------
+ * toJSON transform
+ * --------------------------*/
+// voter lists stay private; controllers expose hasUpvoted instead
+if (!ProductQuestionSchema.options.toJSON) ProductQuestionSchema.options.toJSON = {};
+ProductQuestionSchema.options.toJSON.transform = function (doc, ret) {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  delete ret.upvotedBy;
+  (ret.answers || []).forEach((a) => delete a.upvotedBy);
+  return ret;
+};
+
+const ProductQuestion = model("ProductQuestion", ProductQuestionSchema);
+export default ProductQuestion;
@@ -0,0 +1,42 @@
+// src/models/ProductRevision.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+const FieldChangeSchema = new Schema(
+  {
+    field: { type: String, required: true }, // dot path, e.g. "shipping.weightGrams"
+    from: { type: Schema.Types.Mixed },
+    to: { type: Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+/**
+ * One entry per admin change to a product.
+ * - snapshot: tracked product state *after* the change (used for revert)
+ * - changes: field-level diff against the previous state
+ */
+const ProductRevisionSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    version: { type: Number, required: true },
+    action: {
+      type: String,
+      enum: ["create", "update", "archive", "restore", "revert", "stock", "purge"],
+      required: true,
+    },
+    changedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+    changes: { type: [FieldChangeSchema], default: [] },
+    snapshot: { type: Schema.Types.Mixed, required: true },
+    revertedFrom: { type: Schema.Types.ObjectId, ref: "ProductRevision" },
+    note: { type: String, trim: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// unique: concurrent writers retry with the next version (utils/productHistory.js)
+ProductRevisionSchema.index({ product: 1, version: -1 }, { unique: true });
+
+const ProductRevision = model("ProductRevision", ProductRevisionSchema);
+export default ProductRevision;
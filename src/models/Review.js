@@ -0,0 +1,159 @@
+// src/models/Review.js
+import mongoose from "mongoose";
+import { ImageSubSchema } from "./sharedSchemas.js";
+
+const { Schema, model } = mongoose;
+
+// flagged: hidden automatically after too many abuse reports, awaiting an admin
+export const REVIEW_STATUSES = ["pending", "approved", "rejected", "flagged"];
+export const REPORT_REASONS = ["spam", "offensive", "irrelevant", "fake", "other"];
+
+/** -------------------------
+ * Sub-schemas
+ * --------------------------*/
+const ReportSubSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, enum: REPORT_REASONS, required: true },
+    note: { type: String, trim: true, maxlength: 500 },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/** -------------------------
+ * Review Schema
+ * --------------------------*/
+// Stored apart from the product so product reads stay small and reviews
+// can be paged; Product.ratings is a cached summary of approved reviews.
+const ReviewSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    // reviewer had a delivered order containing the product
+    isVerifiedPurchase: { type: Boolean, default: false },
+    title: { type: String, trim: true },
+    comment: { type: String, trim: true },
+    images: { type: [ImageSubSchema], default: [] },
+    hasImages: { type: Boolean, default: false }, // indexed "with photos" filter
+
+    // one helpful vote per user
+    helpfulBy: { type: [{ type: Schema.Types.ObjectId, ref: "User" }], default: [] },
+    helpfulCount: { type: Number, default: 0, min: 0 },
+
+    // one report per user; reportCount restarts when an admin re-approves
+    reports: { type: [ReportSubSchema], default: [] },
+    reportCount: { type: Number, default: 0, min: 0 },
+
+    // Pre-moderated reviews start pending (see utils/reviewModeration.js)
+    status: { type: String, enum: REVIEW_STATUSES, default: "pending" },
+    rejectionReason: { type: String, trim: true }, // shared with the reviewer
+    moderatedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+    moderatedAt: { type: Date },
+  },
+  // built by jobs/reviewIndexes.js once duplicates are moved out: the unique
+  // index cannot build while a user still has two reviews of a product
+  { timestamps: true, autoIndex: false }
+);
+
+ReviewSchema.index({ product: 1, user: 1 }, { unique: true }); // one review per user
+ReviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ product: 1, status: 1, helpfulCount: -1 });
+ReviewSchema.index({ product: 1, status: 1, rating: -1 });
+ReviewSchema.index({ status: 1, createdAt: 1 }); // moderation queue
+ReviewSchema.index({ "images.url": 1 });
+
+/** -------------------------
+ * Hooks
+ * --------------------------*/
+ReviewSchema.pre("save", function (next) {
+  this.hasImages = this.images.length > 0;
+  next();
+});
+
+/** -------------------------
+ * Statics
+ * --------------------------*/
+
+// 🔹 Recompute a product's cached ratings from its approved reviews
+ReviewSchema.statics.syncProductRatings = async function (productId) {
+  const [summary] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: "approved" } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  const ratings = {
+    average: summary ? Math.round(summary.average * 10) / 10 : 0,
+    count: summary?.count || 0,
+  };
+
+  const Product = mongoose.models.Product || (await import("./Product.js")).default;
+  await Product.updateOne({ _id: productId }, { $set: { ratings } });
+  return ratings;
+};
+
+// 🔹 Flag a user's reviews as verified once an order with the products is delivered
+ReviewSchema.statics.markVerifiedPurchases = function (userId, productIds = []) {
+  return this.updateMany(
+    { user: userId, product: { $in: productIds }, isVerifiedPurchase: false },
+    { $set: { isVerifiedPurchase: true } }
+  );
+};
+
+// 🔹 Keep each user's latest review of a product and move older duplicates to
+// ReviewDuplicate (idempotent; run before building the unique index)
+ReviewSchema.statics.dedupeByUser = async function () {
+  const groups = await this.aggregate([
+    { $sort: { updatedAt: -1, createdAt: -1, _id: -1 } },
+    { $group: { _id: { product: "$product", user: "$user" }, ids: { $push: "$_id" } } },
+    { $match: { "ids.1": { $exists: true } } },
+  ]).allowDiskUse(true);
+
+  const ReviewDuplicate =
+    mongoose.models.ReviewDuplicate || (await import("./ReviewDuplicate.js")).default;
+
+  const dropped = [];
+  for (const { _id: key, ids: [keptId, ...duplicateIds] } of groups) {
+    // raw documents, so nothing outside the schema is lost on the way
+    const docs = await this.collection.find({ _id: { $in: duplicateIds } }).toArray();
+    await ReviewDuplicate.collection.bulkWrite(
+      docs.map((doc) => ({
+        replaceOne: {
+          filter: { _id: doc._id },
+          replacement: { ...doc, keptReview: keptId, archivedAt: new Date() },
+          upsert: true,
+        },
+      }))
+    );
+    await this.deleteMany({ _id: { $in: duplicateIds } });
+    await this.syncProductRatings(key.product);
+    dropped.push({ ...key, kept: keptId, archived: duplicateIds });
+  }
+  return dropped;
+};
+
+// 🔹 Approved-review counts per star, 5 → 1 (half stars count toward the lower star)
+ReviewSchema.statics.ratingBreakdown = async function (productId) {
+  const rows = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: "approved" } },
+    { $group: { _id: { $floor: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  const counts = Object.fromEntries(rows.map((r) => [r._id, r.count]));
+  return [5, 4, 3, 2, 1].map((stars) => ({ stars, count: counts[stars] || 0 }));
+};
+
+/** -------------------------
+ * toJSON transform
+ * --------------------------*/
+if (!ReviewSchema.options.toJSON) ReviewSchema.options.toJSON = {};
+ReviewSchema.options.toJSON.transform = function (doc, ret) {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  delete ret.hasImages;
+  delete ret.helpfulBy; // controllers expose hasMarkedHelpful instead
+  return ret;
+};
+
+const Review = model("Review", ReviewSchema);
+export default Review;
@@ -0,0 +1,27 @@
+// src/models/ReviewDuplicate.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+/** -------------------------
+ * ReviewDuplicate Schema
+ * --------------------------*/
+// Older reviews set aside when a user had several reviews of one product
+// (see Review.dedupeByUser). The original document is stored as-is under
+// its own _id, so it can be inspected or restored, and its photos stay
+// referenced (utils/uploads.js).
+const ReviewDuplicateSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    keptReview: { type: Schema.Types.ObjectId, ref: "Review", required: true },
+    archivedAt: { type: Date, default: Date.now },
+  },
+  { strict: false }
+);
+
+ReviewDuplicateSchema.index({ product: 1, user: 1 });
+ReviewDuplicateSchema.index({ "images.url": 1 });
+
+const ReviewDuplicate = model("ReviewDuplicate", ReviewDuplicateSchema);
+export default ReviewDuplicate;
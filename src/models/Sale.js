@@ -0,0 +1,120 @@
+// src/models/Sale.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+/** -------------------------
+ * Sale Campaign Schema
+ * --------------------------*/
+const SaleSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+
+    // Discount
+    discountType: {
+      type: String,
+      enum: ["percent", "amount"],
+      default: "percent",
+    },
+    discountValue: {
+      type: Number,
+      required: true,
+      min: [0, "Discount cannot be negative"],
+    },
+
+    // Window (endsAt is exclusive)
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+
+    // Targets: a product matches if any list matches
+    appliesTo: {
+      allProducts: { type: Boolean, default: false },
+      products: [{ type: Schema.Types.ObjectId, ref: "Product" }],
+      categories: [{ type: String, trim: true }], // matches category or subCategory
+      tags: [{ type: String, trim: true, lowercase: true }],
+    },
+
+    // Admin kill switch, independent of the schedule
+    isActive: { type: Boolean, default: true },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+  },
+  { timestamps: true }
+);
+
+SaleSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+/** -------------------------
+ * Validation
+ * --------------------------*/
+SaleSchema.pre("validate", function (next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "endsAt must be after startsAt");
+  }
+  if (this.discountType === "percent" && this.discountValue > 100) {
+    this.invalidate("discountValue", "Percent discount cannot exceed 100");
+  }
+  next();
+});
+
+/** -------------------------
+ * Virtuals
+ * --------------------------*/
+SaleSchema.virtual("state").get(function () {
+  const now = new Date();
+  if (!this.isActive) return "disabled";
+  if (this.startsAt > now) return "scheduled";
+  if (this.endsAt <= now) return "ended";
+  return "live";
+});
+
+/** -------------------------
+ * Statics
+ * --------------------------*/
+
+// 🔹 Campaigns running at the given moment
+SaleSchema.statics.findLive = function (at = new Date()) {
+  return this.find({
+    isActive: true,
+    startsAt: { $lte: at },
+    endsAt: { $gt: at },
+  }).lean();
+};
+
+// 🔹 Does a (live) sale target this product?
+SaleSchema.statics.appliesTo = function (sale, product) {
+  const target = sale?.appliesTo || {};
+  if (!product) return false;
+  if (target.allProducts) return true;
+
+  if ((target.products || []).some((id) => String(id) === String(product._id))) {
+    return true;
+  }
+
+  const categories = (target.categories || []).map((c) => c.toLowerCase());
+  if (
+    [product.category, product.subCategory]
+      .filter(Boolean)
+      .some((c) => categories.includes(String(c).toLowerCase()))
+  ) {
+    return true;
+  }
+
+  const tags = target.tags || [];
+  return (product.tags || []).some((t) => tags.includes(t));
+};
+
+/** -------------------------
+ * toJSON transform
+ * --------------------------*/
+SaleSchema.set("toJSON", { virtuals: true });
+SaleSchema.options.toJSON.transform = function (doc, ret) {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+const Sale = model("Sale", SaleSchema);
+export default Sale;
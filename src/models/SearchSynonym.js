@@ -0,0 +1,50 @@
+// src/models/SearchSynonym.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+/** -------------------------
+ * Search Synonym Group Schema
+ * Every term in a group is interchangeable (tee ↔ t-shirt ↔ tshirt)
+ * --------------------------*/
+const SearchSynonymSchema = new Schema(
+  {
+    terms: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      validate: {
+        validator: (terms) => Array.isArray(terms) && terms.length >= 2,
+        message: "A synonym group needs at least two terms",
+      },
+    },
+    isActive: { type: Boolean, default: true },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+  },
+  { timestamps: true }
+);
+
+SearchSynonymSchema.index({ terms: 1 });
+
+/** -------------------------
+ * Hooks
+ * --------------------------*/
+SearchSynonymSchema.pre("validate", function (next) {
+  // 🔹 Dedupe while keeping the admin's ordering
+  this.terms = [...new Set(this.terms.filter(Boolean))];
+  next();
+});
+
+/** -------------------------
+ * toJSON transform
+ * --------------------------*/
+if (!SearchSynonymSchema.options.toJSON) SearchSynonymSchema.options.toJSON = {};
+SearchSynonymSchema.options.toJSON.transform = function (doc, ret) {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+const SearchSynonym = model("SearchSynonym", SearchSynonymSchema);
+export default SearchSynonym;
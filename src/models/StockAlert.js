@@ -0,0 +1,36 @@
+// src/models/StockAlert.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+/**
+ * Raised when a product (or one of its variants) drops to or below
+ * lowStockThreshold. Stays "open" until stock recovers above the threshold.
+ */
+const StockAlertSchema = new Schema(
+  {
+    product: { type: Schema.Types.ObjectId, ref: "Product", required: true },
+    productName: { type: String, required: true },
+    sku: { type: String, required: true }, // variant SKU, or product SKU without variants
+    size: { type: String },
+    color: { type: String },
+
+    stock: { type: Number, required: true }, // latest stock seen while open
+    threshold: { type: Number, required: true },
+
+    status: { type: String, enum: ["open", "resolved"], default: "open" },
+    notifiedAt: { type: Date },
+    resolvedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// At most one open alert per SKU
+StockAlertSchema.index(
+  { product: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+StockAlertSchema.index({ status: 1, createdAt: -1 });
+
+const StockAlert = model("StockAlert", StockAlertSchema);
+export default StockAlert;
@@ -0,0 +1,54 @@
+// src/models/Upload.js
+import mongoose from "mongoose";
+
+const { Schema, model } = mongoose;
+
+const ThumbnailSubSchema = new Schema(
+  {
+    name: { type: String, required: true }, // thumb | small | medium
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    width: Number,
+    height: Number,
+  },
+  { _id: false }
+);
+
+/**
+ * An uploaded image and its generated thumbnails.
+ * Products and reviews reference it by `url`; utils/uploads.js removes
+ * uploads no longer referenced by any product or review.
+ */
+const UploadSchema = new Schema(
+  {
+    key: { type: String, required: true, unique: true }, // storage key of the original
+    url: { type: String, required: true, index: true },
+    storage: { type: String, required: true }, // adapter name, e.g. "local"
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true }, // bytes, after EXIF stripping
+    width: Number,
+    height: Number,
+    thumbnails: { type: [ThumbnailSubSchema], default: [] },
+
+    purpose: { type: String, enum: ["product", "review"], required: true },
+    uploadedBy: { type: Schema.Types.ObjectId, required: true },
+    uploaderRole: { type: String, enum: ["admin", "user"], required: true },
+  },
+  { timestamps: true }
+);
+
+UploadSchema.index({ createdAt: 1 });
+
+/** -------------------------
+ * toJSON transform
+ * --------------------------*/
+if (!UploadSchema.options.toJSON) UploadSchema.options.toJSON = {};
+UploadSchema.options.toJSON.transform = function (doc, ret) {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+const Upload = model("Upload", UploadSchema);
+export default Upload;
@@ -0,0 +1,34 @@
+// src/models/sharedSchemas.js
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/** -------------------------
+ * Sub-schemas shared by several models
+ * --------------------------*/
+
+// Product, colour, review, bundle, collection and category images
+export const ImageSubSchema = new Schema(
+  {
+    url: { type: String, required: true, trim: true },
+    alt: { type: String, trim: true },
+    // webp renditions generated for uploaded images
+    thumbnails: {
+      thumb: { type: String, trim: true },
+      small: { type: String, trim: true },
+      medium: { type: String, trim: true },
+    },
+  },
+  { _id: false }
+);
+
+// Per-locale overrides of the default-locale text (see utils/locale.js)
+export const TranslationSubSchema = new Schema(
+  {
+    name: { type: String, trim: true },
+    description: { type: String, trim: true },
+    metaTitle: { type: String, trim: true },
+    metaDescription: { type: String, trim: true },
+  },
+  { _id: false }
+);
@@ -0,0 +1,28 @@
+// FILE: src/routes/bundleRoutes.js
+import express from "express";
+import {
+  listBundles,
+  getBundleBySlug,
+  createBundle,
+  updateBundle,
+  deleteBundle,
+} from "../controllers/bundleController.js";
+import { optionalAuth } from "../middlewares/optionalAuth.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * Public Bundle Routes
+ */
+router.get("/", optionalAuth, listBundles);                 // live offers (admin: ?all=true)
+router.get("/slug/:slug", optionalAuth, getBundleBySlug);   // bundle + components, regularPrice, savings
+
+/**
+ * Admin-only Bundle Routes
+ */
+router.post("/", authMiddleware(["admin"]), createBundle);
+router.put("/:bundleId", authMiddleware(["admin"]), updateBundle);
+router.delete("/:bundleId", authMiddleware(["admin"]), deleteBundle);
+
+export default router;
@@ -2,6 +2,7 @@
 import express from "express";
 import {
     addToCart,
+    addBundleToCart,
     getCart,
     updateCartItem,
     removeFromCart,
@@ -21,6 +22,9 @@ router.get("/", getCart);
 // POST /api/cart/items -> add item or increase quantity
 router.post("/items", addToCart);
 
+// POST /api/cart/bundles -> add a bundle (with size/colour picks) or increase quantity
+router.post("/bundles", addBundleToCart);
+
 // PUT /api/cart/items/:itemId -> update item quantity (set). quantity=0 removes it
 router.put("/items/:itemId", updateCartItem);
 
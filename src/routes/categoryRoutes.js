@@ -0,0 +1,36 @@
+// FILE: src/routes/categoryRoutes.js
+import express from "express";
+import {
+  getCategoryTree,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from "../controllers/categoryController.js";
+import {
+  getCategoryTranslations,
+  upsertCategoryTranslation,
+  deleteCategoryTranslation,
+} from "../controllers/translationController.js";
+import { optionalAuth } from "../middlewares/optionalAuth.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * Public Category Routes
+ */
+router.get("/tree", optionalAuth, getCategoryTree);   // nested tree (admin: ?all=true)
+router.get("/slug/:slug", getCategoryBySlug);        // category + direct children
+
+/**
+ * Admin-only Category Routes
+ */
+router.post("/", authMiddleware(["admin"]), createCategory);
+router.put("/:categoryId", authMiddleware(["admin"]), updateCategory);
+router.delete("/:categoryId", authMiddleware(["admin"]), deleteCategory);
+router.get("/:categoryId/translations", authMiddleware(["admin"]), getCategoryTranslations);
+router.put("/:categoryId/translations/:locale", authMiddleware(["admin"]), upsertCategoryTranslation);
+router.delete("/:categoryId/translations/:locale", authMiddleware(["admin"]), deleteCategoryTranslation);
+
+export default router;
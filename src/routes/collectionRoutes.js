@@ -0,0 +1,30 @@
+// FILE: src/routes/collectionRoutes.js
+import express from "express";
+import {
+  listCollections,
+  getCollectionBySlug,
+  previewCollectionRule,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+} from "../controllers/collectionController.js";
+import { optionalAuth } from "../middlewares/optionalAuth.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * Public Collection Routes
+ */
+router.get("/", optionalAuth, listCollections);                 // visible now (admin: ?all=true)
+router.get("/slug/:slug", optionalAuth, getCollectionBySlug);   // collection + paged products
+
+/**
+ * Admin-only Collection Routes
+ */
+router.post("/preview", authMiddleware(["admin"]), previewCollectionRule);   // { rules }
+router.post("/", authMiddleware(["admin"]), createCollection);
+router.put("/:collectionId", authMiddleware(["admin"]), updateCollection);
+router.delete("/:collectionId", authMiddleware(["admin"]), deleteCollection);
+
+export default router;
@@ -0,0 +1,26 @@
+// FILE: src/routes/currencyRoutes.js
+import express from "express";
+import {
+  listCurrencies,
+  createCurrency,
+  updateCurrency,
+  deleteCurrency,
+} from "../controllers/currencyController.js";
+import { optionalAuth } from "../middlewares/optionalAuth.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * Public Currency Routes
+ */
+router.get("/", optionalAuth, listCurrencies);   // currency switcher (admin: ?all=true)
+
+/**
+ * Admin-only Currency Routes (exchange rates & rounding)
+ */
+router.post("/", authMiddleware(["admin"]), createCurrency);
+router.put("/:code", authMiddleware(["admin"]), updateCurrency);
+router.delete("/:code", authMiddleware(["admin"]), deleteCurrency);
+
+export default router;
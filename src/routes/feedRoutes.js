@@ -0,0 +1,14 @@
+// FILE: src/routes/feedRoutes.js
+import express from "express";
+import { getSitemap, getProductFeed } from "../controllers/feedController.js";
+
+const router = express.Router();
+
+/**
+ * Public SEO / Merchant Routes (mounted at the app root)
+ */
+router.get("/sitemap.xml", getSitemap);
+router.get("/feeds/products.xml", getProductFeed);   // Google Merchant RSS
+router.get("/feeds/products.csv", getProductFeed);   // same attributes as CSV
+
+export default router;
@@ -7,36 +7,104 @@ import {
   getProductBySlug,
   updateProduct,
   deleteProduct,
+  getProductSuggestions,
+  updateVariantStock,
+  getProductFacets,
+  restoreProduct,
+  purgeProduct,
+  getProductHistory,
+  revertProduct,
+  getRelatedProducts,
+} from "../controllers/productController.js";
+import {
   addReview,
   getReviews,
   updateReview,
   deleteReview,
-  getProductSuggestions,
-} from "../controllers/productController.js";
+  moderateReview,
+  listReviewQueue,
+  markHelpful,
+  unmarkHelpful,
+  reportReview,
+} from "../controllers/reviewController.js";
+import {
+  importProducts,
+  exportProducts,
+} from "../controllers/catalogController.js";
+import {
+  bulkEditProducts,
+  listBulkEditJobs,
+  getBulkEditJob,
+} from "../controllers/bulkEditController.js";
+import {
+  getLowStockReport,
+  listStockAlerts,
+} from "../controllers/inventoryController.js";
+import {
+  getQuestions,
+  askQuestion,
+  answerQuestion,
+  upvote,
+  removeUpvote,
+  deleteQuestion,
+  deleteAnswer,
+  moderateQuestion,
+  moderateAnswer,
+  listQuestionQueue,
+} from "../controllers/questionController.js";
+import {
+  getProductTranslations,
+  upsertProductTranslation,
+  deleteProductTranslation,
+} from "../controllers/translationController.js";
 import { optionalAuth } from "../middlewares/optionalAuth.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
 
 const router = express.Router();
 
+/**
+ * Admin Catalog Import / Export
+ * (declared before "/:productId" so the paths are not taken as ids)
+ */
+router.post("/import", authMiddleware(["admin"]), importProducts);  // ?dryRun=true
+router.get("/export", authMiddleware(["admin"]), exportProducts);   // ?format=csv|json
+
+/**
+ * Admin Bulk Edit
+ */
+router.post("/bulk-edit", authMiddleware(["admin"]), bulkEditProducts);  // ?preview=true
+router.get("/bulk-edit/jobs", authMiddleware(["admin"]), listBulkEditJobs);
+router.get("/bulk-edit/jobs/:jobId", authMiddleware(["admin"]), getBulkEditJob);
+
+/**
+ * Admin Inventory Reports
+ */
+router.get("/admin/low-stock", authMiddleware(["admin"]), getLowStockReport);
+router.get("/admin/stock-alerts", authMiddleware(["admin"]), listStockAlerts);
+router.get("/admin/questions", authMiddleware(["admin"]), listQuestionQueue);   // ?status=pending
+router.get("/admin/reviews", authMiddleware(["admin"]), listReviewQueue);       // ?status=pending|flagged
+
 /**
  * Public Product Routes
  */
 router.get("/", optionalAuth, getAllProducts);                  // list all products
 router.get("/slug/:slug", optionalAuth, getProductBySlug);      // SEO-friendly slug lookup
 router.get("/suggestions", optionalAuth, getProductSuggestions);
-router.get("/:productId", getProductById);        // lookup by MongoDB ObjectId
+router.get("/facets", optionalAuth, getProductFacets);          // counts per filter value
+router.get("/:productId", optionalAuth, getProductById);        // lookup by MongoDB ObjectId
+router.get("/:productId/related", getRelatedProducts);          // bought together + similar
 
 /**
  * Review Routes
  */
-router.get("/:productId/reviews", getReviews);    // public: read reviews
+// public: approved reviews, paginated
+// ?sort=newest|helpful|rating_desc|rating_asc&rating=4,5&withPhotos=true&verified=true
+// (admin: &status=)
+router.get("/:productId/reviews", optionalAuth, getReviews);
 
 // auth required for write ops
-router.post(
-  "/:productId/reviews",
-  authMiddleware(["user", "admin"]),
-  addReview
-);
+// one per user per product; REVIEW_REQUIRE_PURCHASE=true limits it to buyers
+router.post("/:productId/reviews", authMiddleware(["user"]), addReview);
 router.put(
   "/:productId/reviews/:reviewId",
   authMiddleware(["user", "admin"]),
@@ -47,12 +115,88 @@ router.delete(
   authMiddleware(["user", "admin"]),
   deleteReview
 );
+router.post("/:productId/reviews/:reviewId/helpful", authMiddleware(["user"]), markHelpful);
+router.delete("/:productId/reviews/:reviewId/helpful", authMiddleware(["user"]), unmarkHelpful);
+router.post("/:productId/reviews/:reviewId/report", authMiddleware(["user"]), reportReview);
+router.patch(
+  "/:productId/reviews/:reviewId/moderate",
+  authMiddleware(["admin"]),
+  moderateReview
+);
+
+/**
+ * Question & Answer Routes
+ */
+router.get("/:productId/questions", optionalAuth, getQuestions);   // ?sort=helpful|recent
+router.post("/:productId/questions", authMiddleware(["user"]), askQuestion);
+router.delete(
+  "/:productId/questions/:questionId",
+  authMiddleware(["user", "admin"]),
+  deleteQuestion
+);
+// admins, or users with a delivered order containing the product
+router.post(
+  "/:productId/questions/:questionId/answers",
+  authMiddleware(["user", "admin"]),
+  answerQuestion
+);
+router.delete(
+  "/:productId/questions/:questionId/answers/:answerId",
+  authMiddleware(["user", "admin"]),
+  deleteAnswer
+);
+router.post("/:productId/questions/:questionId/upvote", authMiddleware(["user"]), upvote);
+router.delete("/:productId/questions/:questionId/upvote", authMiddleware(["user"]), removeUpvote);
+router.post(
+  "/:productId/questions/:questionId/answers/:answerId/upvote",
+  authMiddleware(["user"]),
+  upvote
+);
+router.delete(
+  "/:productId/questions/:questionId/answers/:answerId/upvote",
+  authMiddleware(["user"]),
+  removeUpvote
+);
+router.patch(
+  "/:productId/questions/:questionId/moderate",
+  authMiddleware(["admin"]),
+  moderateQuestion
+);
+router.patch(
+  "/:productId/questions/:questionId/answers/:answerId/moderate",
+  authMiddleware(["admin"]),
+  moderateAnswer
+);
 
 /**
  * Admin-only Product Routes
  */
 router.post("/", authMiddleware(["admin"]), createProduct);
 router.put("/:productId", authMiddleware(["admin"]), updateProduct);
-router.delete("/:productId", authMiddleware(["admin"]), deleteProduct);
+router.delete("/:productId", authMiddleware(["admin"]), deleteProduct);    // archives
+router.post("/:productId/restore", authMiddleware(["admin"]), restoreProduct);
+router.delete("/:productId/purge", authMiddleware(["admin"]), purgeProduct); // archived only
+router.get("/:productId/history", authMiddleware(["admin"]), getProductHistory);
+router.post(
+  "/:productId/history/:revisionId/revert",
+  authMiddleware(["admin"]),
+  revertProduct
+);
+router.patch(
+  "/:productId/variants/:variantId/stock",
+  authMiddleware(["admin"]),
+  updateVariantStock
+);
+router.get("/:productId/translations", authMiddleware(["admin"]), getProductTranslations);
+router.put(
+  "/:productId/translations/:locale",
+  authMiddleware(["admin"]),
+  upsertProductTranslation
+);
+router.delete(
+  "/:productId/translations/:locale",
+  authMiddleware(["admin"]),
+  deleteProductTranslation
+);
 
 export default router;
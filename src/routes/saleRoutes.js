@@ -0,0 +1,29 @@
+// FILE: src/routes/saleRoutes.js
+import express from "express";
+import {
+  getLiveSales,
+  listSales,
+  getSaleById,
+  createSale,
+  updateSale,
+  deleteSale,
+} from "../controllers/saleController.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * Public Sale Routes
+ */
+router.get("/live", getLiveSales);   // campaigns running now
+
+/**
+ * Admin-only Sale Campaign Routes
+ */
+router.get("/", authMiddleware(["admin"]), listSales);
+router.get("/:saleId", authMiddleware(["admin"]), getSaleById);
+router.post("/", authMiddleware(["admin"]), createSale);
+router.put("/:saleId", authMiddleware(["admin"]), updateSale);
+router.delete("/:saleId", authMiddleware(["admin"]), deleteSale);
+
+export default router;
@@ -0,0 +1,21 @@
+// FILE: src/routes/synonymRoutes.js
+import express from "express";
+import {
+  listSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+} from "../controllers/synonymController.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * Admin-only Search Synonym Routes
+ */
+router.get("/", authMiddleware(["admin"]), listSynonyms);   // ?term=tee
+router.post("/", authMiddleware(["admin"]), createSynonym);
+router.put("/:synonymId", authMiddleware(["admin"]), updateSynonym);
+router.delete("/:synonymId", authMiddleware(["admin"]), deleteSynonym);
+
+export default router;
@@ -0,0 +1,22 @@
+// FILE: src/routes/uploadRoutes.js
+import express from "express";
+import { uploadImages, deleteUpload } from "../controllers/uploadController.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { imageUpload } from "../middlewares/imageUpload.js";
+import { uploadLimiter } from "../middlewares/rateLimit.js";
+
+const router = express.Router();
+
+/**
+ * Authenticated Upload Routes (admins and customers)
+ */
+router.post(
+  "/images",
+  uploadLimiter,
+  authMiddleware(["admin", "user"]),
+  imageUpload,
+  uploadImages
+);   // multipart "images" (+ optional purpose=product|review)
+router.delete("/:uploadId", authMiddleware(["admin", "user"]), deleteUpload);
+
+export default router;
@@ -0,0 +1,29 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import { computeProductAssociations } from "../jobs/productAssociations.js";
+
+// Ensure dotenv loads from project root
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../.env") });
+
+const run = async () => {
+  try {
+    await connectDB();
+
+    console.log("🚀 Computing product associations...");
+    const { products, computedAt } = await computeProductAssociations();
+    console.log(`✅ Stored associations for ${products} products at ${computedAt.toISOString()}`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Error computing associations:", err.message);
+    process.exit(1);
+  }
+};
+
+run();
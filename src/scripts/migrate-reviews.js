@@ -0,0 +1,108 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import Product from "../models/Product.js";
+import Order from "../models/Order.js";
+import Review from "../models/Review.js";
+import ReviewDuplicate from "../models/ReviewDuplicate.js";
+import { ensureReviewIndexes } from "../jobs/reviewIndexes.js";
+
+// Ensure dotenv loads from project root
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../.env") });
+
+/**
+ * Upsert a product's embedded reviews into the reviews collection.
+ * If the unique index is already built (the server ran first), a second
+ * review by the same user is set aside in `reviewduplicates` next to the
+ * one already stored instead of failing the batch.
+ * @returns {Promise<number>} reviews inserted
+ */
+const moveReviews = async (productId, reviews) => {
+  const ops = [];
+  for (const r of reviews) {
+    ops.push({
+      updateOne: {
+        filter: { _id: r._id },
+        update: {
+          $setOnInsert: {
+            ...r,
+            product: productId,
+            images: r.images || [],
+            hasImages: Boolean(r.images?.length),
+            isVerifiedPurchase: Boolean(await Order.hasDeliveredProduct(r.user, productId)),
+          },
+        },
+        upsert: true,
+      },
+    });
+  }
+  if (!ops.length) return 0;
+
+  try {
+    const { upsertedCount } = await Review.bulkWrite(ops, { ordered: false });
+    return upsertedCount;
+  } catch (err) {
+    const conflicts = err.writeErrors || [];
+    if (!conflicts.length || conflicts.some((e) => e.code !== 11000)) throw err;
+
+    for (const { index } of conflicts) {
+      const review = ops[index].updateOne.update.$setOnInsert;
+      const kept = await Review.findOne({ product: productId, user: review.user }).select("_id").lean();
+      await ReviewDuplicate.collection.replaceOne(
+        { _id: review._id },
+        { ...review, keptReview: kept._id, archivedAt: new Date() },
+        { upsert: true }
+      );
+      console.warn(`⚠️ Review ${review._id} set aside: user ${review.user} already reviewed ${productId}`);
+    }
+    return err.result.upsertedCount;
+  }
+};
+
+/**
+ * One-off: move reviews embedded in products (`products.reviews`) into the
+ * reviews collection, keeping their ids, then drop the embedded copies.
+ * Reviews from buyers with a delivered order are flagged as verified.
+ * Afterwards a user's older reviews of the same product are moved to
+ * `reviewduplicates` (and listed) before the unique index is built.
+ * Safe to re-run: already-moved reviews are skipped by id.
+ */
+const run = async () => {
+  try {
+    await connectDB();
+
+    console.log("🚀 Moving embedded reviews...");
+    // raw collection: `reviews` is no longer part of the Product schema
+    const cursor = Product.collection.find(
+      { "reviews.0": { $exists: true } },
+      { projection: { reviews: 1 } }
+    );
+
+    let products = 0;
+    let moved = 0;
+    for await (const doc of cursor) {
+      const upsertedCount = await moveReviews(doc._id, doc.reviews);
+
+      await Product.collection.updateOne({ _id: doc._id }, { $unset: { reviews: "" } });
+      await Review.syncProductRatings(doc._id);
+      products += 1;
+      moved += upsertedCount;
+    }
+
+    console.log(`✅ Moved ${moved} reviews from ${products} products`);
+
+    const dropped = await ensureReviewIndexes();
+    console.log(`✅ Set aside duplicate reviews for ${dropped.length} user/product pairs`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Error migrating reviews:", err.message);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,29 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+import { syncProductFeed } from "../jobs/productFeed.js";
+
+// Ensure dotenv loads from project root
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../.env") });
+
+const run = async () => {
+  try {
+    await connectDB();
+
+    console.log("🚀 Syncing product feed...");
+    const { stamped, refreshed, removed } = await syncProductFeed();
+    console.log(`✅ Feed synced: ${stamped} stamped, ${refreshed} refreshed, ${removed} removed`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Error syncing product feed:", err.message);
+    process.exit(1);
+  }
+};
+
+run();
@@ -3,7 +3,13 @@ import http from "http";
 import mongoose from "mongoose"; 
 import app from "./app.js";
 import connectDB from "./config/db.js";
+import { scheduleProductAssociations } from "./jobs/productAssociations.js";
+import { scheduleProductFeedSync } from "./jobs/productFeed.js";
+import { scheduleUploadCleanup } from "./jobs/uploadCleanup.js";
+import { recoverBulkEditJobs } from "./jobs/bulkEdit.js";
+import { ensureReviewIndexes } from "./jobs/reviewIndexes.js";
 
+// Imports above are evaluated first, so modules read process.env when called
 dotenv.config();
 
 const PORT = process.env.PORT || 5000;
@@ -18,6 +24,17 @@ const startServer = async () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
     });
 
+    // Background jobs
+    ensureReviewIndexes().catch((err) =>
+      console.error("❌ Review index build failed:", err.message)
+    );
+    scheduleProductAssociations();
+    scheduleProductFeedSync();
+    scheduleUploadCleanup();
+    recoverBulkEditJobs().catch((err) =>
+      console.error("❌ Bulk edit recovery failed:", err.message)
+    );
+
     // Graceful shutdown (on Ctrl+C or kill)
     process.on("SIGINT", () => {
       console.log("🛑 Server shutting down...");
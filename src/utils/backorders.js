@@ -0,0 +1,95 @@
+// src/utils/backorders.js
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+import User from "../models/User.js";
+import { sendEmail } from "./sendEmail.js";
+import { generateBackorderAvailableEmailTemplate } from "./emailTemplates.js";
+
+const OPEN_STATUSES = ["pending", "confirmed", "processing"];
+
+const notifyCustomer = async (order, items) => {
+  try {
+    const user = await User.findById(order.user).select("username email").lean();
+    if (!user?.email) return;
+    const { subject, html } = generateBackorderAvailableEmailTemplate({
+      username: user.username,
+      orderId: String(order._id),
+      items,
+    });
+    await sendEmail(user.email, subject, html);
+  } catch (err) {
+    console.error("Backorder notification failed:", err?.message || err);
+  }
+};
+
+/**
+ * Hand restocked units to open backordered order lines, oldest order first.
+ * Each order is allocated in its own transaction; customers are emailed
+ * when a line becomes fully available. Errors are logged, never thrown.
+ * @param {Array<string>} productIds - products whose stock just went up
+ */
+export const allocateBackorders = async (productIds = []) => {
+  const ids = [...new Set(productIds.map(String))];
+  if (!ids.length) return;
+
+  try {
+    const orders = await Order.find({
+      status: { $in: OPEN_STATUSES },
+      items: {
+        $elemMatch: { product: { $in: ids }, backorderedQuantity: { $gt: 0 } },
+      },
+    })
+      .sort({ createdAt: 1 })
+      .select("_id");
+
+    for (const { _id } of orders) {
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      try {
+        const order = await Order.findById(_id).session(session);
+        const fulfilled = [];
+        let changed = false;
+
+        for (const item of order.items) {
+          if (!ids.includes(String(item.product)) || !(item.backorderedQuantity > 0)) {
+            continue;
+          }
+          const product = await Product.findById(item.product).session(session);
+          if (!product) continue;
+
+          const take = Math.min(
+            product.availableStock(item.size, item.color),
+            item.backorderedQuantity
+          );
+          if (take <= 0) continue;
+
+          product.adjustStock(item.size, -take, item.color);
+          await product.save({ session });
+
+          item.backorderedQuantity -= take;
+          changed = true;
+          if (item.backorderedQuantity === 0) {
+            item.backorderFulfilledAt = new Date();
+            fulfilled.push(item);
+          }
+        }
+
+        if (changed) {
+          order.markModified("items");
+          await order.save({ session });
+        }
+        await session.commitTransaction();
+        session.endSession();
+
+        if (fulfilled.length) await notifyCustomer(order, fulfilled);
+      } catch (err) {
+        await session.abortTransaction().catch(() => {});
+        session.endSession();
+        console.error(`Backorder allocation failed for order ${_id}:`, err?.message || err);
+      }
+    }
+  } catch (err) {
+    console.error("Backorder allocation failed:", err?.message || err);
+  }
+};
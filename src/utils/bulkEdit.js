@@ -0,0 +1,114 @@
+// src/utils/bulkEdit.js
+
+/**
+ * Admin bulk edits: a product filter plus a list of operations applied to
+ * every matching product, in order.
+ *
+ *   { field: "price" | "discount", action: "set" | "increase" | "decrease",
+ *     by: "amount" | "percent", value: number }
+ *   { field: "isFeatured" | "isNewArrival" | "allowBackorder", action: "set", value: boolean }
+ *   { field: "tags", action: "add" | "remove", value: string[] }
+ *
+ * Increases/decreases also move variant price overrides so size-specific
+ * prices keep their offset; "set" leaves overrides alone. finalPrice is
+ * recomputed by the Product update hook.
+ */
+
+export const PRICE_FIELDS = ["price", "discount"];
+export const FLAG_FIELDS = ["isFeatured", "isNewArrival", "allowBackorder"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Mongo filter for the products a bulk edit targets.
+ * Archived products are skipped unless includeArchived is set.
+ */
+export const buildBulkFilter = ({
+  ids,
+  category,
+  subCategory,
+  brand,
+  tags,
+  includeArchived = false,
+} = {}) => {
+  const query = {};
+  if (ids?.length) query._id = { $in: ids };
+  if (category) query.category = category;
+  if (subCategory) query.subCategory = subCategory;
+  if (brand) query.brand = { $in: [].concat(brand) };
+  if (tags?.length) query.tags = { $in: tags.map((t) => String(t).trim().toLowerCase()) };
+  if (!includeArchived) query.status = { $ne: "archived" };
+  return query;
+};
+
+// New numeric value for a set/increase/decrease operation
+const adjust = (current, { action, by, value }) => {
+  const base = Number(current) || 0;
+  if (action === "set") return value;
+  const delta = by === "percent" ? (base * value) / 100 : value;
+  return action === "increase" ? base + delta : base - delta;
+};
+
+const clampPrice = (n) => Math.max(0, round2(n));
+const clampDiscount = (n) => Math.min(100, Math.max(0, round2(n)));
+
+/**
+ * Changes the operations make to one product
+ * @param {object} product - lean product
+ * @param {Array<object>} operations
+ * @returns {object} $set payload with only the fields that change (empty when nothing does)
+ */
+export const applyBulkOperations = (product, operations) => {
+  const next = {
+    price: product.price,
+    discount: product.discount || 0,
+    tags: [...(product.tags || [])],
+    variantPrices: (product.variants || []).map((v) =>
+      typeof v.price === "number" ? v.price : null
+    ),
+  };
+  for (const field of FLAG_FIELDS) next[field] = Boolean(product[field]);
+
+  for (const op of operations) {
+    if (op.field === "price") {
+      next.price = clampPrice(adjust(next.price, op));
+      if (op.action !== "set") {
+        next.variantPrices = next.variantPrices.map((p) =>
+          p === null ? null : clampPrice(adjust(p, op))
+        );
+      }
+    } else if (op.field === "discount") {
+      next.discount = clampDiscount(adjust(next.discount, op));
+    } else if (FLAG_FIELDS.includes(op.field)) {
+      next[op.field] = op.value;
+    } else if (op.field === "tags") {
+      const tags = op.value.map((t) => String(t).trim().toLowerCase());
+      next.tags =
+        op.action === "add"
+          ? [...new Set([...next.tags, ...tags])]
+          : next.tags.filter((t) => !tags.includes(t));
+    }
+  }
+
+  const $set = {};
+  if (next.price !== product.price) $set.price = next.price;
+  if (next.discount !== (product.discount || 0)) $set.discount = next.discount;
+  for (const field of FLAG_FIELDS) {
+    if (next[field] !== Boolean(product[field])) $set[field] = next[field];
+  }
+  if (JSON.stringify(next.tags) !== JSON.stringify(product.tags || [])) $set.tags = next.tags;
+  // dotted paths so concurrent stock changes on the variants aren't overwritten
+  next.variantPrices.forEach((p, i) => {
+    if (p !== null && p !== product.variants[i].price) $set[`variants.${i}.price`] = p;
+  });
+  return $set;
+};
+
+/**
+ * Final price after a $set from applyBulkOperations, for previews
+ */
+export const previewFinalPrice = (product, $set) => {
+  const price = $set.price ?? product.price;
+  const discount = $set.discount ?? product.discount ?? 0;
+  return Math.max(0, round2(price - (price * discount) / 100));
+};
@@ -0,0 +1,51 @@
+// FILE: src/utils/bulkEditValidation.js
+import Joi from "joi";
+import { PRICE_FIELDS, FLAG_FIELDS } from "./bulkEdit.js";
+
+const objectId = Joi.string().hex().length(24);
+
+const filterSchema = Joi.object({
+  ids: Joi.array().items(objectId).unique().max(5000),
+  category: Joi.string().trim(),
+  subCategory: Joi.string().trim(),
+  brand: Joi.alternatives().try(Joi.string().trim(), Joi.array().items(Joi.string().trim()).min(1)),
+  tags: Joi.array().items(Joi.string().trim()).min(1),
+  includeArchived: Joi.boolean().default(false),
+})
+  // no "edit everything" by accident
+  .or("ids", "category", "subCategory", "brand", "tags")
+  .messages({ "object.missing": "filter needs at least one of ids, category, subCategory, brand or tags" });
+
+const operationSchema = Joi.object({
+  field: Joi.string()
+    .valid(...PRICE_FIELDS, ...FLAG_FIELDS, "tags")
+    .required(),
+  action: Joi.when("field", {
+    switch: [
+      { is: Joi.valid(...PRICE_FIELDS), then: Joi.string().valid("set", "increase", "decrease").required() },
+      { is: "tags", then: Joi.string().valid("add", "remove").required() },
+    ],
+    otherwise: Joi.string().valid("set").default("set"),
+  }),
+  by: Joi.when("field", {
+    is: Joi.valid(...PRICE_FIELDS),
+    then: Joi.string().valid("amount", "percent").default("amount"),
+    otherwise: Joi.forbidden(),
+  }),
+  value: Joi.when("field", {
+    switch: [
+      { is: Joi.valid(...PRICE_FIELDS), then: Joi.number().min(0).required() },
+      { is: "tags", then: Joi.array().items(Joi.string().trim()).min(1).required() },
+    ],
+    otherwise: Joi.boolean().required(),
+  }),
+});
+
+const bulkEditSchema = Joi.object({
+  filter: filterSchema.required(),
+  operations: Joi.array().items(operationSchema).min(1).max(20).required(),
+  preview: Joi.boolean().default(false),
+});
+
+export const validateBulkEdit = (data) =>
+  bulkEditSchema.validate(data, { abortEarly: false, stripUnknown: true });
@@ -0,0 +1,85 @@
+// FILE: src/utils/bundleValidation.js
+import Joi from "joi";
+import Product from "../models/Product.js";
+import { imageSchema } from "./validators.js";
+
+const objectId = Joi.string().hex().length(24);
+
+const componentSchema = Joi.object({
+  product: objectId.required(),
+  size: Joi.string().trim().optional(), // omit to let the shopper choose
+  color: Joi.string().trim().optional(),
+  quantity: Joi.number().integer().min(1).max(20).default(1),
+});
+
+const bundleSchema = Joi.object({
+  name: Joi.string().trim().max(150).required(),
+  slug: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .optional()
+    .messages({ "string.pattern.base": "Slug may only contain a-z, 0-9 and dashes" }),
+  description: Joi.string().trim().allow("").optional(),
+  images: Joi.array().items(imageSchema).default([]),
+  components: Joi.array().items(componentSchema).min(1).required(),
+  price: Joi.number().min(0).required(),
+  startsAt: Joi.date().iso().allow(null).optional(),
+  endsAt: Joi.date().iso().allow(null).optional(),
+  isActive: Joi.boolean().default(true),
+});
+
+export const validateCreateBundle = (data) =>
+  bundleSchema.validate(data, { abortEarly: false, stripUnknown: true });
+
+// startsAt/endsAt ordering and the two-item minimum are checked by the model
+export const validateUpdateBundle = (data) =>
+  bundleSchema
+    .fork(Object.keys(bundleSchema.describe().keys), (field) => field.optional())
+    .min(1)
+    .validate(data, { abortEarly: false, stripUnknown: true, noDefaults: true });
+
+// Shopper's size/colour picks for components that leave them open
+export const validateBundleSelections = (data) =>
+  Joi.array()
+    .items(
+      Joi.object({
+        componentId: objectId.required(),
+        size: Joi.string().trim().optional(),
+        color: Joi.string().trim().optional(),
+      })
+    )
+    .default([])
+    .validate(data, { abortEarly: false, stripUnknown: true });
+
+/**
+ * Components must point at existing products, with sizes/colours those
+ * products offer. Canonicalizes colour names in place.
+ * @returns {Promise<string[]>} error messages
+ */
+export const validateBundleComponents = async (components = []) => {
+  const ids = [...new Set(components.map((c) => c.product))];
+  const products = await Product.find({ _id: { $in: ids } });
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  const errors = [];
+  components.forEach((component, idx) => {
+    const product = byId.get(String(component.product));
+    if (!product) {
+      errors.push(`components[${idx}]: product not found`);
+      return;
+    }
+    if (component.color) {
+      const color = product.findColor(component.color);
+      if (!color) {
+        errors.push(`components[${idx}]: ${product.name} has no colour "${component.color}"`);
+        return;
+      }
+      component.color = color.name;
+    }
+    if (component.size && !(product.sizes || []).includes(component.size)) {
+      errors.push(`components[${idx}]: ${product.name} has no size "${component.size}"`);
+    }
+  });
+  return errors;
+};
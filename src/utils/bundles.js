@@ -0,0 +1,117 @@
+// src/utils/bundles.js
+import Product from "../models/Product.js";
+
+/**
+ * Bundle helpers shared by the bundle, cart and order controllers.
+ * A bundle is one cart line; placeOrder expands it into one order line per
+ * component so stock, backorders and reports keep working per product.
+ */
+
+const toCents = (n) => Math.round((Number(n) || 0) * 100);
+
+// Same key placeOrder uses to track stock claimed by earlier lines
+export const stockKey = (product, size, color) =>
+  `${product._id}:${product.findVariant(size, color)?.sku || ""}`;
+
+/**
+ * Resolve each component to a concrete product/size/colour
+ * @param {object} bundle - Bundle document
+ * @param {Array<{ componentId: string, size?: string, color?: string }>} selections - shopper picks
+ * @param {{ session?: import("mongoose").ClientSession }} [options]
+ * @returns {Promise<{ items: Array<{ componentId, product, size, color, quantity }>, errors: string[] }>}
+ */
+export const resolveBundleItems = async (bundle, selections = [], { session } = {}) => {
+  const picks = new Map(selections.map((s) => [String(s.componentId), s]));
+  const products = await Product.find({
+    _id: { $in: bundle.components.map((c) => c.product) },
+  }).session(session || null);
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  const items = [];
+  const errors = [];
+  for (const component of bundle.components) {
+    const product = byId.get(String(component.product));
+    if (!product || !product.isAvailable()) {
+      errors.push(`${product?.name || "A bundle item"} is no longer available`);
+      continue;
+    }
+
+    const pick = picks.get(String(component._id)) || {};
+    const size = component.size || pick.size;
+    const color = product.findColor(component.color || pick.color);
+
+    if ((component.color || pick.color) && !color) {
+      errors.push(`Choose an available colour for ${product.name}`);
+      continue;
+    }
+    const sizeMissing = product.hasVariants()
+      ? !product.findVariant(size, color?.name)
+      : (product.sizes || []).length > 0 && !product.sizes.includes(size);
+    if (sizeMissing) {
+      errors.push(`Choose an available size for ${product.name}`);
+      continue;
+    }
+
+    items.push({
+      componentId: component._id,
+      product,
+      size: size || undefined,
+      color: color?.name,
+      quantity: component.quantity,
+    });
+  }
+
+  return { items, errors };
+};
+
+/**
+ * First component short of stock for `bundleQuantity` bundles, if any.
+ * Bundles never backorder: every component must be on hand.
+ * @param {Map<string, number>} [reserved] - stock already claimed, by stockKey
+ * @returns {string|null} error message
+ */
+export const findBundleShortfall = (items, bundleQuantity, reserved = new Map()) => {
+  const needed = new Map();
+  for (const item of items) {
+    const key = stockKey(item.product, item.size, item.color);
+    needed.set(key, (needed.get(key) || 0) + item.quantity * bundleQuantity);
+    const available =
+      item.product.availableStock(item.size, item.color) - (reserved.get(key) || 0);
+    if (needed.get(key) > available) {
+      return `Insufficient stock for ${item.product.name}${item.size ? ` (${item.size})` : ""} in this bundle`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Regular (unbundled) price of one bundle for the resolved items
+ */
+export const bundleRegularPrice = (items) =>
+  items.reduce(
+    (sum, item) => sum + toCents(item.product.priceFor(item.size, item.color)) * item.quantity,
+    0
+  ) / 100;
+
+/**
+ * Split one bundle's price across its items in proportion to their regular
+ * prices; shares are whole cents and add up to the bundle price exactly.
+ * @returns {number[]} share per item (for item.quantity units)
+ */
+export const allocateBundlePrice = (bundlePrice, items) => {
+  const total = toCents(bundlePrice);
+  const weights = items.map(
+    (item) => toCents(item.product.priceFor(item.size, item.color)) * item.quantity
+  );
+  const weightSum = weights.reduce((s, w) => s + w, 0);
+
+  let assigned = 0;
+  return items.map((item, idx) => {
+    if (idx === items.length - 1) return (total - assigned) / 100;
+    const share = weightSum
+      ? Math.floor((total * weights[idx]) / weightSum)
+      : Math.floor(total / items.length);
+    assigned += share;
+    return share / 100;
+  });
+};
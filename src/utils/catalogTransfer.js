@@ -0,0 +1,130 @@
+// src/utils/catalogTransfer.js
+
+/**
+ * Column layout shared by catalog import and export.
+ * - nested fields use dot paths (shipping.weightGrams)
+ * - LIST_COLUMNS are "|" separated strings in CSV
+ * - JSON_COLUMNS hold JSON-encoded arrays in CSV
+ */
+export const CATALOG_COLUMNS = [
+  "sku",
+  "name",
+  "description",
+  "brand",
+  "category",
+  "subCategory",
+  "tags",
+  "price",
+  "discount",
+  "stock",
+  "lowStockThreshold",
+  "allowBackorder",
+  "backorderLeadDays",
+  "restockDate",
+  "sizes",
+  "colors",
+  "variants",
+  "material",
+  "gender",
+  "season",
+  "images",
+  "videoUrl",
+  "shipping.weightGrams",
+  "shipping.dimensionsCm.length",
+  "shipping.dimensionsCm.width",
+  "shipping.dimensionsCm.height",
+  "shipping.shippingClass",
+  "shipping.originCountry",
+  "returnable",
+  "returnPeriodDays",
+  "isActive",
+  "status",
+  "isFeatured",
+  "isNewArrival",
+  "metaTitle",
+  "metaDescription",
+  "keywords",
+];
+
+const LIST_COLUMNS = ["tags", "sizes", "keywords"];
+const JSON_COLUMNS = ["colors", "variants", "images"];
+
+// Subdocument fields that should not travel between environments
+const stripIds = (items = []) =>
+  items.map((item) => {
+    const { _id, id, ...rest } = item || {};
+    return rest;
+  });
+
+const getPath = (obj, path) =>
+  path.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+
+const setPath = (obj, path, value) => {
+  const keys = path.split(".");
+  let target = obj;
+  keys.slice(0, -1).forEach((key) => {
+    if (typeof target[key] !== "object" || target[key] === null) target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Product document (lean) -> export record in catalog shape
+ */
+export const productToRecord = (product = {}) => {
+  const record = {};
+  for (const col of CATALOG_COLUMNS) {
+    const value = getPath(product, col);
+    if (value === undefined || value === null) continue;
+    setPath(record, col, JSON_COLUMNS.includes(col) ? stripIds(value) : value);
+  }
+  return record;
+};
+
+/**
+ * Export record -> flat CSV row
+ */
+export const recordToCsvRow = (record = {}) => {
+  const row = {};
+  for (const col of CATALOG_COLUMNS) {
+    const value = getPath(record, col);
+    if (value === undefined || value === null) continue;
+    if (LIST_COLUMNS.includes(col)) row[col] = (value || []).join("|");
+    else if (JSON_COLUMNS.includes(col)) row[col] = JSON.stringify(value || []);
+    else row[col] = value;
+  }
+  return row;
+};
+
+/**
+ * Flat CSV row -> nested record (values stay strings; Joi converts types)
+ * @throws {Error} when a JSON column cannot be parsed
+ */
+export const csvRowToRecord = (row = {}) => {
+  const record = {};
+  for (const col of CATALOG_COLUMNS) {
+    const raw = row[col];
+    if (raw === undefined || String(raw).trim() === "") continue;
+
+    if (LIST_COLUMNS.includes(col)) {
+      setPath(
+        record,
+        col,
+        String(raw)
+          .split("|")
+          .map((v) => v.trim())
+          .filter(Boolean)
+      );
+    } else if (JSON_COLUMNS.includes(col)) {
+      try {
+        setPath(record, col, JSON.parse(raw));
+      } catch {
+        throw new Error(`Column "${col}" must contain a JSON array`);
+      }
+    } else {
+      setPath(record, col, String(raw).trim());
+    }
+  }
+  return record;
+};
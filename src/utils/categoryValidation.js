@@ -0,0 +1,37 @@
+// FILE: src/utils/categoryValidation.js
+import Joi from "joi";
+import { imageSchema } from "./validators.js";
+
+const categorySchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  slug: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .optional()
+    .messages({ "string.pattern.base": "Slug may only contain a-z, 0-9 and dashes" }),
+  description: Joi.string().trim().allow("").optional(),
+  image: imageSchema.optional(),
+
+  // Tree
+  parent: Joi.string().hex().length(24).allow(null).optional(),
+  sortOrder: Joi.number().integer().default(0),
+
+  isActive: Joi.boolean().default(true),
+
+  // SEO
+  metaTitle: Joi.string().trim().optional(),
+  metaDescription: Joi.string().trim().optional(),
+  keywords: Joi.array().items(Joi.string().trim()).optional(),
+});
+
+export const validateCreateCategory = (data) =>
+  categorySchema.validate(data, { abortEarly: false, stripUnknown: true });
+
+export const validateUpdateCategory = (data) =>
+  categorySchema
+    .fork(Object.keys(categorySchema.describe().keys), (field) =>
+      field.optional().prefs({ noDefaults: true })
+    )
+    .min(1)
+    .validate(data, { abortEarly: false, stripUnknown: true });
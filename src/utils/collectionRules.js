@@ -0,0 +1,149 @@
+// src/utils/collectionRules.js
+
+/**
+ * Rule-based collections: conditions on product fields, combined with
+ * AND ("all") or OR ("any"). Admins may write them as text, e.g.
+ *   tag=summer AND finalPrice<1500
+ * which parseRule() turns into { match, conditions }.
+ */
+
+// Rule field → product path and value type
+export const RULE_FIELDS = {
+  tag: { path: "tags", type: "string" },
+  category: { path: "category", type: "string" },
+  subCategory: { path: "subCategory", type: "string" },
+  brand: { path: "brand", type: "string" },
+  gender: { path: "gender", type: "string" },
+  material: { path: "material", type: "string" },
+  season: { path: "season", type: "string" },
+  color: { path: "colors.name", type: "string" },
+  size: { path: "sizes", type: "string" },
+  price: { path: "price", type: "number" },
+  finalPrice: { path: "finalPrice", type: "number" },
+  discount: { path: "discount", type: "number" },
+  rating: { path: "ratings.average", type: "number" },
+  isFeatured: { path: "isFeatured", type: "boolean" },
+  isNewArrival: { path: "isNewArrival", type: "boolean" },
+};
+
+export const RULE_OPERATORS = ["=", "!=", "<", "<=", ">", ">="];
+
+// Operators that only make sense on numbers
+const RANGE_OPERATORS = ["<", "<=", ">", ">="];
+
+const MONGO_OPERATORS = { "<": "$lt", "<=": "$lte", ">": "$gt", ">=": "$gte" };
+
+export class RuleSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RuleSyntaxError";
+  }
+}
+
+const escapeRegex = (text = "") =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Coerce a condition's value to its field type
+ * @throws {RuleSyntaxError}
+ */
+const coerceValue = (field, op, value) => {
+  const spec = RULE_FIELDS[field];
+  if (!spec) {
+    throw new RuleSyntaxError(
+      `Unknown rule field "${field}". Use one of: ${Object.keys(RULE_FIELDS).join(", ")}`
+    );
+  }
+  if (!RULE_OPERATORS.includes(op)) throw new RuleSyntaxError(`Unknown operator "${op}"`);
+  if (spec.type !== "number" && RANGE_OPERATORS.includes(op)) {
+    throw new RuleSyntaxError(`"${field}" only supports = and !=`);
+  }
+
+  if (spec.type === "number") {
+    const n = Number(value);
+    if (value === "" || value === null || !Number.isFinite(n)) {
+      throw new RuleSyntaxError(`"${field}" needs a number`);
+    }
+    return n;
+  }
+  if (spec.type === "boolean") {
+    if (value === true || value === false) return value;
+    if (["true", "false"].includes(String(value).toLowerCase())) {
+      return String(value).toLowerCase() === "true";
+    }
+    throw new RuleSyntaxError(`"${field}" needs true or false`);
+  }
+  const text = String(value ?? "").trim();
+  if (!text) throw new RuleSyntaxError(`"${field}" needs a value`);
+  return text;
+};
+
+/**
+ * Check and normalise conditions (values coerced to their field types)
+ * @returns {Array<{ field: string, op: string, value: any }>}
+ * @throws {RuleSyntaxError}
+ */
+export const normalizeConditions = (conditions = []) => {
+  if (!conditions.length) throw new RuleSyntaxError("A rule needs at least one condition");
+  return conditions.map(({ field, op, value }) => ({
+    field,
+    op,
+    value: coerceValue(field, op, value),
+  }));
+};
+
+/**
+ * "tag=summer AND finalPrice<1500" → { match: "all", conditions: [...] }
+ * AND and OR cannot be mixed in one rule.
+ * @throws {RuleSyntaxError}
+ */
+export const parseRule = (text = "") => {
+  const parts = String(text).trim().split(/\s+(AND|OR)\s+/i);
+  const joiners = new Set(parts.filter((_, i) => i % 2 === 1).map((j) => j.toUpperCase()));
+  if (joiners.size > 1) throw new RuleSyntaxError("Use either AND or OR in a rule, not both");
+
+  const conditions = parts
+    .filter((_, i) => i % 2 === 0)
+    .map((clause) => {
+      const m = clause.match(/^\s*([A-Za-z]+)\s*(<=|>=|!=|=|<|>)\s*(.+?)\s*$/);
+      if (!m) throw new RuleSyntaxError(`Cannot read condition "${clause.trim()}"`);
+      // values may be quoted to keep spaces: brand="Blue Tokai"
+      const value = m[3].replace(/^(["'])(.*)\1$/, "$2");
+      return { field: m[1], op: m[2], value };
+    });
+
+  return {
+    match: joiners.has("OR") ? "any" : "all",
+    conditions: normalizeConditions(conditions),
+  };
+};
+
+/**
+ * { match, conditions } → text form, for display next to the rule editor
+ */
+export const describeRule = ({ match = "all", conditions = [] } = {}) =>
+  conditions
+    .map(({ field, op, value }) =>
+      `${field}${op}${typeof value === "string" && /\s/.test(value) ? `"${value}"` : value}`
+    )
+    .join(match === "any" ? " OR " : " AND ");
+
+/**
+ * Mongo filter for a rule (text values match case-insensitively)
+ */
+export const ruleToFilter = ({ match = "all", conditions = [] } = {}) => {
+  const clauses = conditions.map(({ field, op, value }) => {
+    const { path, type } = RULE_FIELDS[field];
+    if (type === "number") {
+      if (op === "=") return { [path]: value };
+      if (op === "!=") return { [path]: { $ne: value } };
+      return { [path]: { [MONGO_OPERATORS[op]]: value } };
+    }
+    if (type === "boolean") return { [path]: op === "!=" ? { $ne: value } : value };
+    const pattern = new RegExp(`^${escapeRegex(value)}$`, "i");
+    return { [path]: op === "!=" ? { $not: pattern } : pattern };
+  });
+
+  if (!clauses.length) return { _id: null }; // matches nothing
+  return match === "any" ? { $or: clauses } : { $and: clauses };
+};
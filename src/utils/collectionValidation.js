@@ -0,0 +1,79 @@
+// FILE: src/utils/collectionValidation.js
+import Joi from "joi";
+import Product from "../models/Product.js";
+import { COLLECTION_SORTS } from "../models/Collection.js";
+import { imageSchema } from "./validators.js";
+import { RULE_FIELDS, RULE_OPERATORS } from "./collectionRules.js";
+
+// Structured rules, or text such as "tag=summer AND finalPrice<1500"
+const rulesSchema = Joi.alternatives().try(
+  Joi.string().trim().max(500),
+  Joi.object({
+    match: Joi.string().valid("all", "any").default("all"),
+    conditions: Joi.array()
+      .items(
+        Joi.object({
+          field: Joi.string()
+            .valid(...Object.keys(RULE_FIELDS))
+            .required(),
+          op: Joi.string()
+            .valid(...RULE_OPERATORS)
+            .required(),
+          value: Joi.alternatives().try(Joi.string().trim(), Joi.number(), Joi.boolean()).required(),
+        })
+      )
+      .min(1)
+      .max(20)
+      .required(),
+  })
+);
+
+const collectionSchema = Joi.object({
+  name: Joi.string().trim().max(150).required(),
+  slug: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .optional()
+    .messages({ "string.pattern.base": "Slug may only contain a-z, 0-9 and dashes" }),
+  description: Joi.string().trim().allow("").optional(),
+  heroImages: Joi.array().items(imageSchema).max(10).default([]),
+
+  type: Joi.string().valid("manual", "rule").default("manual"),
+  products: Joi.array().items(Joi.string().hex().length(24)).unique().max(500).default([]),
+  rules: rulesSchema.optional(),
+  sort: Joi.string()
+    .valid(...COLLECTION_SORTS)
+    .optional(),
+
+  sortOrder: Joi.number().integer().default(0),
+  startsAt: Joi.date().iso().allow(null).optional(),
+  endsAt: Joi.date().iso().allow(null).optional(),
+  isActive: Joi.boolean().default(true),
+
+  // SEO
+  metaTitle: Joi.string().trim().optional(),
+  metaDescription: Joi.string().trim().optional(),
+});
+
+export const validateCreateCollection = (data) =>
+  collectionSchema.validate(data, { abortEarly: false, stripUnknown: true });
+
+export const validateUpdateCollection = (data) =>
+  collectionSchema
+    .fork(Object.keys(collectionSchema.describe().keys), (field) => field.optional())
+    .min(1)
+    .validate(data, { abortEarly: false, stripUnknown: true, noDefaults: true });
+
+/**
+ * Manually listed products must exist
+ * @returns {Promise<string[]>} error messages
+ */
+export const validateCollectionProducts = async (productIds = []) => {
+  if (!productIds.length) return [];
+  const found = await Product.find({ _id: { $in: productIds } }).distinct("_id");
+  const known = new Set(found.map(String));
+  return productIds
+    .filter((id) => !known.has(String(id)))
+    .map((id) => `Product ${id} not found`);
+};
@@ -0,0 +1,82 @@
+// src/utils/csv.js
+
+/**
+ * Parse RFC 4180 CSV text into an array of objects keyed by the header row
+ * - supports quoted fields, escaped quotes ("") and newlines inside quotes
+ * @param {string} text
+ * @returns {Array<object>}
+ */
+export const parseCsv = (text = "") => {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+  if (!nonEmpty.length) return [];
+
+  const headers = nonEmpty[0].map((h) => h.trim());
+  return nonEmpty.slice(1).map((cells) =>
+    headers.reduce((obj, header, idx) => {
+      obj[header] = cells[idx] ?? "";
+      return obj;
+    }, {})
+  );
+};
+
+/**
+ * Serialize objects to CSV using the given column order
+ * @param {Array<object>} rows
+ * @param {Array<string>} columns
+ * @returns {string}
+ */
+export const toCsv = (rows = [], columns = []) => {
+  const escape = (value) => {
+    if (value === undefined || value === null) return "";
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+
+  const lines = [columns.map(escape).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((col) => escape(row[col])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+};
@@ -0,0 +1,201 @@
+// src/utils/currency.js
+import Currency from "../models/Currency.js";
+
+/**
+ * Display-currency layer. Everything is stored, charged and settled in the
+ * base currency; a requested currency (?currency=USD or X-Currency) only
+ * adds converted amounts next to the stored ones.
+ * - unit prices use the currency's full rounding rule (increment, mode,
+ *   optional charm ending such as .99)
+ * - totals are sums of converted lines, so displayed lines add up
+ */
+
+export class UnsupportedCurrencyError extends Error {
+  constructor(code) {
+    super(`Unsupported currency: ${code}`);
+    this.name = "UnsupportedCurrencyError";
+  }
+}
+
+// Store currency: prices are saved in it (BASE_CURRENCY, default INR)
+export const baseCurrencyCode = () =>
+  String(process.env.BASE_CURRENCY || "INR").toUpperCase();
+
+const toRate = (doc) => ({
+  code: doc.code,
+  symbol: doc.symbol,
+  decimals: doc.decimals ?? 2,
+  rate: doc.rate,
+  rounding: {
+    increment: doc.rounding?.increment || 0,
+    mode: doc.rounding?.mode || "nearest",
+    ending: doc.rounding?.ending ?? null,
+  },
+});
+
+/**
+ * Currency code asked for by the request, if any
+ */
+export const requestedCurrencyCode = (req) => {
+  const code = req.query?.currency || req.get?.("X-Currency");
+  return code ? String(code).trim().toUpperCase() : null;
+};
+
+/**
+ * Conversion settings for a currency code (the base currency converts at 1)
+ * @returns {Promise<{ code, symbol, decimals, rate, rounding }>}
+ * @throws {UnsupportedCurrencyError} unknown or inactive currency
+ */
+export const resolveCurrency = async (code) => {
+  const base = baseCurrencyCode();
+  const wanted = code ? String(code).toUpperCase() : base;
+  const doc = await Currency.findOne({ code: wanted, isActive: true }).lean();
+
+  if (wanted === base) {
+    // a record for the base currency may set symbol/decimals, never the rate
+    return toRate({ ...doc, code: base, rate: 1, rounding: { increment: 0.01 } });
+  }
+  if (!doc) throw new UnsupportedCurrencyError(wanted);
+  return toRate(doc);
+};
+
+/**
+ * Currency requested by `req`, or null when none was asked for
+ * @throws {UnsupportedCurrencyError}
+ */
+export const resolveRequestCurrency = async (req) => {
+  const code = requestedCurrencyCode(req);
+  return code ? resolveCurrency(code) : null;
+};
+
+const roundTo = (value, step, mode) => {
+  if (!step) return value;
+  const units = value / step;
+  // tolerance keeps 12.30 / 0.05 = 245.99999… from rounding the wrong way
+  if (mode === "up") return Math.ceil(units - 1e-9) * step;
+  if (mode === "down") return Math.floor(units + 1e-9) * step;
+  return Math.round(units) * step;
+};
+
+/**
+ * Base-currency amount → display currency
+ * @param {number} amount - base-currency amount
+ * @param {object} currency - from resolveCurrency()
+ * @param {{ retail?: boolean }} [options] - retail: unit price, apply the charm ending
+ * @returns {number}
+ */
+export const convertAmount = (amount, currency, { retail = false } = {}) => {
+  const { rate, decimals, rounding } = currency;
+  const raw = (Number(amount) || 0) * rate;
+
+  let value = roundTo(raw, rounding.increment, rounding.mode);
+  // the ending replaces the fraction of the rounded price, never going below it
+  if (retail && rounding.ending !== null && decimals > 0 && value > 0) {
+    const rounded = value;
+    value = Math.floor(rounded) + rounding.ending;
+    if (value < rounded - 1e-9) value += 1;
+  }
+  return Number(value.toFixed(decimals));
+};
+
+/**
+ * Currency summary attached to responses
+ */
+export const currencyInfo = (currency) => ({
+  code: currency.code,
+  symbol: currency.symbol,
+  decimals: currency.decimals,
+  rate: currency.rate,
+  base: baseCurrencyCode(),
+});
+
+/**
+ * Converted prices for a product response (expects salePricingFields merged in)
+ */
+export const displayProductPrices = (product, currency) => ({
+  currency: currency.code,
+  price: convertAmount(product.price, currency, { retail: true }),
+  finalPrice: convertAmount(product.finalPrice ?? product.price, currency, { retail: true }),
+  effectivePrice: convertAmount(
+    product.effectivePrice ?? product.finalPrice ?? product.price,
+    currency,
+    { retail: true }
+  ),
+});
+
+/**
+ * Converted line prices and totals for cart/order lines
+ * @param {Array<{ price: number, quantity: number }>} lines
+ * @returns {{ lines: Array<{ price: number, lineTotal: number }>, subTotal: number }}
+ */
+export const displayLines = (lines, currency) => {
+  const factor = 10 ** currency.decimals;
+  let subTotal = 0;
+  const converted = lines.map((line) => {
+    const price = convertAmount(line.price, currency, { retail: true });
+    const lineTotal = Math.round(price * (Number(line.quantity) || 0) * factor) / factor;
+    subTotal += lineTotal;
+    return { price, lineTotal };
+  });
+  return { lines: converted, subTotal: Math.round(subTotal * factor) / factor };
+};
+
+/**
+ * The display currency an order was placed in, from its own snapshot
+ * (null for orders placed in the settlement currency)
+ */
+export const recordedCurrency = (order) => {
+  if (!order.displayCurrency || !order.exchangeRate) return null;
+  if (order.displayCurrency === (order.currency || baseCurrencyCode())) return null;
+  const recorded = order.currencyRounding || {};
+  return {
+    code: order.displayCurrency,
+    decimals: recorded.decimals ?? 2,
+    rate: order.exchangeRate,
+    rounding: {
+      increment: recorded.increment ?? 0.01,
+      mode: recorded.mode || "nearest",
+      ending: recorded.ending ?? null,
+    },
+  };
+};
+
+/**
+ * Conversion for an order: the rate and rounding recorded when it was
+ * placed in this currency, so past orders don't drift with rate changes
+ */
+const orderCurrency = (order, currency) => {
+  if (order.displayCurrency !== currency.code || !order.exchangeRate) return currency;
+  const recorded = order.currencyRounding;
+  return {
+    ...currency,
+    rate: order.exchangeRate,
+    decimals: recorded?.decimals ?? currency.decimals,
+    rounding: recorded
+      ? { increment: recorded.increment, mode: recorded.mode, ending: recorded.ending ?? null }
+      : currency.rounding,
+  };
+};
+
+/**
+ * Converted order amounts
+ */
+export const displayOrder = (order, currency) => {
+  const rated = orderCurrency(order, currency);
+  const { lines, subTotal } = displayLines(order.items || [], rated);
+  const factor = 10 ** rated.decimals;
+  const tax = convertAmount(order.tax, rated);
+  const shipping = convertAmount(order.shipping, rated);
+  const discount = convertAmount(order.discount, rated);
+
+  return {
+    currency: rated.code,
+    rate: rated.rate,
+    items: lines,
+    subTotal,
+    tax,
+    shipping,
+    discount,
+    total: Math.round((subTotal + tax + shipping - discount) * factor) / factor,
+  };
+};
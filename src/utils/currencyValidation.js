@@ -0,0 +1,41 @@
+// FILE: src/utils/currencyValidation.js
+import Joi from "joi";
+import { ROUNDING_MODES } from "../models/Currency.js";
+
+const currencySchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z]{3}$/)
+    .required()
+    .messages({ "string.pattern.base": "Currency code must be a 3-letter ISO code" }),
+  name: Joi.string().trim().max(60).optional(),
+  symbol: Joi.string().trim().max(5).optional(),
+  decimals: Joi.number().integer().min(0).max(4).default(2),
+  rate: Joi.number().positive().required(),
+  rounding: Joi.object({
+    increment: Joi.number().min(0).default(0.01),
+    mode: Joi.string()
+      .valid(...ROUNDING_MODES)
+      .default("nearest"),
+    ending: Joi.number().min(0).max(0.99).allow(null).default(null),
+  }).optional(),
+  isActive: Joi.boolean().default(true),
+}).custom((value, helpers) => {
+  // .99 on a zero-decimal currency would round up to the next unit
+  if (value.decimals === 0 && value.rounding?.ending != null) {
+    return helpers.message("A price ending needs a currency with decimals");
+  }
+  return value;
+});
+
+export const validateCreateCurrency = (data) =>
+  currencySchema.validate(data, { abortEarly: false, stripUnknown: true });
+
+// code comes from the URL and cannot change
+export const validateUpdateCurrency = (data) =>
+  currencySchema
+    .fork(Object.keys(currencySchema.describe().keys), (field) => field.optional())
+    .fork(["code"], (field) => field.forbidden())
+    .min(1)
+    .validate(data, { abortEarly: false, stripUnknown: true, noDefaults: true });
@@ -0,0 +1,117 @@
+// src/utils/cursorPagination.js
+
+/**
+ * Opaque cursor pagination over a (sortField, _id) key.
+ * The cursor carries the sort field/order it was issued for plus the
+ * boundary document's values, so pages stay stable while documents are
+ * added or removed. `_id` breaks ties between equal sort values.
+ */
+
+export class InvalidCursorError extends Error {
+  constructor(message = "Invalid or expired cursor") {
+    super(message);
+    this.name = "InvalidCursorError";
+  }
+}
+
+const readPath = (doc, path) =>
+  typeof doc.get === "function"
+    ? doc.get(path)
+    : path.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), doc);
+
+const encodeCursor = (doc, field, order, dir) => {
+  const raw = readPath(doc, field);
+  const payload = {
+    f: field,
+    o: order,
+    d: dir,
+    id: String(doc._id),
+    v: raw instanceof Date ? raw.toISOString() : raw ?? null,
+    t: raw instanceof Date ? "date" : undefined,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!payload?.f || !payload?.id || ![1, -1].includes(payload.o)) throw new Error();
+    if (payload.t === "date") payload.v = new Date(payload.v);
+    return payload;
+  } catch {
+    throw new InvalidCursorError();
+  }
+};
+
+// Documents strictly after (value, id) in the given order; nulls sort lowest
+const rangeAfter = (field, order, value, id) => {
+  if (order === 1) {
+    return value === null
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { $or: [{ [field]: { $gt: value } }, { [field]: value, _id: { $gt: id } }] };
+  }
+  return value === null
+    ? { [field]: null, _id: { $lt: id } }
+    : {
+        $or: [
+          { [field]: { $lt: value } },
+          { [field]: value, _id: { $lt: id } },
+          { [field]: null },
+        ],
+      };
+};
+
+/**
+ * Fetch one page of documents.
+ * @param {import("mongoose").Model} Model
+ * @param {object} options
+ * @param {object} options.filter - base Mongo filter
+ * @param {string} options.sortField - e.g. "createdAt", "finalPrice", "ratings.average"
+ * @param {1|-1} options.sortOrder
+ * @param {number} options.limit
+ * @param {string} [options.cursor] - nextCursor/prevCursor from a previous page
+ * @param {(query: import("mongoose").Query) => import("mongoose").Query} [options.decorate]
+ *   extra query options (populate, select, lean)
+ * @returns {Promise<{ docs: Array, nextCursor: string|null, prevCursor: string|null }>}
+ * @throws {InvalidCursorError} when the cursor is malformed or issued for another sort
+ */
+export const cursorPaginate = async (
+  Model,
+  { filter = {}, sortField, sortOrder = -1, limit = 10, cursor, decorate }
+) => {
+  let dir = "next";
+  let query = filter;
+
+  if (cursor) {
+    const c = decodeCursor(cursor);
+    if (c.f !== sortField || c.o !== sortOrder) {
+      throw new InvalidCursorError("Cursor does not match the requested sort");
+    }
+    dir = c.d === "prev" ? "prev" : "next";
+    const order = dir === "prev" ? -sortOrder : sortOrder;
+    query = { $and: [filter, rangeAfter(sortField, order, c.v, c.id)] };
+  }
+
+  // walking backwards = querying in reverse order, then flipping the page
+  const order = dir === "prev" ? -sortOrder : sortOrder;
+  let q = Model.find(query)
+    .sort({ [sortField]: order, _id: order })
+    .limit(limit + 1);
+  if (decorate) q = decorate(q);
+
+  const rows = await q;
+  const hasMore = rows.length > limit;
+  const docs = rows.slice(0, limit);
+  if (dir === "prev") docs.reverse();
+
+  const first = docs[0];
+  const last = docs[docs.length - 1];
+  const hasNext = dir === "next" ? hasMore : Boolean(cursor);
+  const hasPrev = dir === "prev" ? hasMore : Boolean(cursor);
+
+  return {
+    docs,
+    nextCursor: hasNext && last ? encodeCursor(last, sortField, sortOrder, "next") : null,
+    prevCursor: hasPrev && first ? encodeCursor(first, sortField, sortOrder, "prev") : null,
+  };
+};
@@ -53,3 +53,124 @@ export const generateOtpEmailTemplate = ({
 
   return { subject, html };
 };
+
+/**
+ * Generate Low-Stock Alert Email Template (admin)
+ * @param {object} options
+ * @param {Array<object>} options.alerts - StockAlert documents
+ * @returns {object} { subject, html }
+ */
+export const generateLowStockEmailTemplate = ({ alerts = [] }) => {
+  const subject = `Low stock: ${alerts.length} item${alerts.length === 1 ? "" : "s"} - ShuVastra`;
+
+  const rows = alerts
+    .map((a) => {
+      const variant = [a.size, a.color].filter(Boolean).join(" / ");
+      return `
+        <tr>
+          <td style="padding: 6px; border-bottom: 1px solid #eee;">${a.productName}${variant ? ` (${variant})` : ""}</td>
+          <td style="padding: 6px; border-bottom: 1px solid #eee;">${a.sku}</td>
+          <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: right;"><b>${a.stock}</b> / ${a.threshold}</td>
+        </tr>`;
+    })
+    .join("");
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px; border: 1px solid #eee; border-radius: 10px; background: #fafafa;">
+      <h2 style="text-align: center; color: #2F4F4F;">ShuVastra</h2>
+      <p>The following items are at or below their low-stock threshold:</p>
+      <table style="width: 100%; border-collapse: collapse;">
+        <tr>
+          <th style="text-align: left; padding: 6px;">Product</th>
+          <th style="text-align: left; padding: 6px;">SKU</th>
+          <th style="text-align: right; padding: 6px;">Stock / Threshold</th>
+        </tr>
+        ${rows}
+      </table>
+      <br>
+      <p>Restock soon to avoid missed orders.</p>
+      <p>Best regards,<br>
+      <strong>ShuVastra System</strong></p>
+    </div>
+  `;
+
+  return { subject, html };
+};
+
+/**
+ * Generate Backorder Available Email Template (customer)
+ * @param {object} options
+ * @param {string} options.username - Recipient name
+ * @param {string} options.orderId - Order reference
+ * @param {Array<object>} options.items - order lines now in stock
+ * @returns {object} { subject, html }
+ */
+export const generateBackorderAvailableEmailTemplate = ({
+  username = "Customer",
+  orderId,
+  items = [],
+}) => {
+  const subject = "Good news: your backordered items are in stock - ShuVastra";
+
+  const list = items
+    .map((it) => {
+      const variant = [it.size, it.color].filter(Boolean).join(" / ");
+      return `<li>${it.productName}${variant ? ` (${variant})` : ""} × ${it.quantity}</li>`;
+    })
+    .join("");
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px; border: 1px solid #eee; border-radius: 10px; background: #fafafa;">
+      <h2 style="text-align: center; color: #2F4F4F;">ShuVastra</h2>
+      <p>Hi <strong>${username}</strong>,</p>
+      <p>The following backordered items from order <b>#${orderId}</b> are now in stock and reserved for you:</p>
+      <ul>${list}</ul>
+      <p>We'll let you know as soon as your order ships.</p>
+      <br>
+      <p>Best regards,<br>
+      <strong>ShuVastra Team</strong></p>
+    </div>
+  `;
+
+  return { subject, html };
+};
+
+/**
+ * Generate Review Decision Email Template (customer)
+ * @param {object} options
+ * @param {string} options.username - Recipient name
+ * @param {string} options.productName - Reviewed product
+ * @param {string} options.status - approved | rejected
+ * @param {string} [options.reason] - Rejection reason
+ * @returns {object} { subject, html }
+ */
+export const generateReviewDecisionEmailTemplate = ({
+  username = "Customer",
+  productName,
+  status,
+  reason,
+}) => {
+  const approved = status === "approved";
+  const subject = approved
+    ? "Your review is live - ShuVastra"
+    : "About your review - ShuVastra";
+
+  const body = approved
+    ? `<p>Thanks for sharing your thoughts on <b>${productName}</b>. Your review has been approved and is now visible to other shoppers.</p>`
+    : `<p>Thanks for reviewing <b>${productName}</b>. Unfortunately we couldn't publish your review.</p>
+      ${reason ? `<p><b>Reason:</b> ${reason}</p>` : ""}
+      <p>You're welcome to edit your review and submit it again.</p>`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px; border: 1px solid #eee; border-radius: 10px; background: #fafafa;">
+      <h2 style="text-align: center; color: #2F4F4F;">ShuVastra</h2>
+      <p>Hi <strong>${username}</strong>,</p>
+      ${body}
+      <br>
+      <p>Best regards,<br>
+      <strong>ShuVastra Team</strong></p>
+    </div>
+  `;
+
+  return { subject, html };
+};
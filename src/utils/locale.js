@@ -0,0 +1,105 @@
+// src/utils/locale.js
+
+/**
+ * Per-locale content for products and categories. Base fields hold the
+ * default locale (DEFAULT_LOCALE, "en"); `translations` holds overrides per
+ * locale, applied field by field so a missing translation falls back to
+ * the default text.
+ */
+
+export const TRANSLATABLE_FIELDS = ["name", "description", "metaTitle", "metaDescription"];
+
+// DEFAULT_LOCALE: language of the untranslated fields (default en)
+export const defaultLocale = () => String(process.env.DEFAULT_LOCALE || "en").toLowerCase();
+
+export const supportedLocales = () => [
+  ...new Set([
+    defaultLocale(),
+    ...String(process.env.SUPPORTED_LOCALES || "en,hi")
+      .split(",")
+      .map((l) => l.trim().toLowerCase())
+      .filter(Boolean),
+  ]),
+];
+
+/**
+ * Best supported locale for a language tag: exact match, then the primary
+ * subtag ("hi-IN" → "hi")
+ * @returns {string|null}
+ */
+export const matchLocale = (tag, supported = supportedLocales()) => {
+  const wanted = String(tag || "").trim().toLowerCase().replace(/_/g, "-");
+  if (!wanted) return null;
+  if (supported.includes(wanted)) return wanted;
+  const primary = wanted.split("-")[0];
+  return supported.find((l) => l === primary || l.split("-")[0] === primary) || null;
+};
+
+/**
+ * Accept-Language → tags, most preferred first
+ */
+export const parseAcceptLanguage = (header = "") =>
+  String(header)
+    .split(",")
+    .map((part, idx) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      return { tag: tag.trim(), q: q ? Number(q.slice(2)) || 0 : 1, idx };
+    })
+    .filter((t) => t.tag && t.tag !== "*" && t.q > 0)
+    .sort((a, b) => b.q - a.q || a.idx - b.idx)
+    .map((t) => t.tag);
+
+/**
+ * Locale for a request: ?lang=, then Accept-Language, then the default
+ */
+export const resolveLocale = (req) => {
+  const supported = supportedLocales();
+  const fromQuery = matchLocale(req.query?.lang, supported);
+  if (fromQuery) return fromQuery;
+
+  for (const tag of parseAcceptLanguage(req.get?.("Accept-Language"))) {
+    const match = matchLocale(tag, supported);
+    if (match) return match;
+  }
+  return defaultLocale();
+};
+
+/**
+ * Tell caches and clients which language was served
+ */
+export const setLocaleHeaders = (res, locale) => {
+  res.set("Content-Language", locale);
+  res.vary("Accept-Language");
+};
+
+// translations is a Map on documents and a plain object on lean/JSON results
+const translationFor = (translations, locale) =>
+  translations instanceof Map ? translations.get(locale) : translations?.[locale];
+
+/**
+ * Copy of a product/category object with text fields in `locale`
+ * @param {object} obj - toJSON()/lean result
+ * @param {string} locale
+ * @param {{ keepTranslations?: boolean }} [options] - admins get the raw translations too
+ * @returns {object}
+ */
+export const localize = (obj, locale, { keepTranslations = false } = {}) => {
+  if (!obj) return obj;
+  const out = { ...obj, locale: defaultLocale() };
+
+  const translation = locale !== defaultLocale() && translationFor(obj.translations, locale);
+  if (translation) {
+    let applied = false;
+    for (const field of TRANSLATABLE_FIELDS) {
+      if (translation[field]) {
+        out[field] = translation[field];
+        applied = true;
+      }
+    }
+    if (applied) out.locale = locale;
+  }
+
+  if (!keepTranslations) delete out.translations;
+  return out;
+};
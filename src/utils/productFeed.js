@@ -0,0 +1,362 @@
+// src/utils/productFeed.js
+import Product from "../models/Product.js";
+import FeedEntry from "../models/FeedEntry.js";
+import Sale from "../models/Sale.js";
+import { applySaleDiscount } from "./salePricing.js";
+import { toCsv } from "./csv.js";
+
+/**
+ * Sitemap and Google Merchant–style product feed.
+ * - FeedEntry holds one precomputed entry per product
+ * - Product hooks stamp entries stale; refreshFeedEntries() rebuilds only
+ *   those, and syncFeedEntries() catches writes that bypassed the hooks
+ * - sale campaigns are applied while rendering, so sale prices start and
+ *   end on schedule without touching entries
+ */
+
+export const PRODUCT_PATH_PREFIX = "/products";
+export const CATEGORY_PATH_PREFIX = "/categories";
+
+// Protocol limit per sitemap file
+const SITEMAP_MAX_URLS = 50000;
+const REFRESH_BATCH_SIZE = 200;
+
+const FEED_PRODUCT_FIELDS =
+  "name slug description sku price finalPrice stock allowBackorder restockDate backorderLeadDays " +
+  "images colors.name variants.sku brand gender sizes material category subCategory tags " +
+  "shipping.weightGrams status isActive updatedAt";
+
+// Merchant feed gender / age_group from our gender enum
+const GENDER_MAP = {
+  Men: { gender: "male", ageGroup: "adult" },
+  Women: { gender: "female", ageGroup: "adult" },
+  Unisex: { gender: "unisex", ageGroup: "adult" },
+  Boys: { gender: "male", ageGroup: "kids" },
+  Girls: { gender: "female", ageGroup: "kids" },
+};
+
+const availabilityOf = (product) => {
+  if (Number(product.stock) > 0) return "in_stock";
+  return product.allowBackorder ? "backorder" : "out_of_stock";
+};
+
+/**
+ * Product (lean) → FeedEntry fields
+ */
+export const buildFeedEntry = (product) => {
+  // same rule as Product.publicFilter()
+  const listed =
+    [undefined, null, "active"].includes(product.status) &&
+    product.isActive !== false &&
+    Boolean(product.slug);
+
+  const availability = availabilityOf(product);
+  const images = (product.images || []).map((img) => img.url).filter(Boolean);
+  const { gender, ageGroup } = GENDER_MAP[product.gender] || {};
+
+  let availabilityDate;
+  if (availability === "backorder") {
+    availabilityDate =
+      product.restockDate && new Date(product.restockDate) > new Date()
+        ? product.restockDate
+        : new Date(Date.now() + (Number(product.backorderLeadDays) || 0) * 86400000);
+  }
+
+  return {
+    listed,
+    path: `${PRODUCT_PATH_PREFIX}/${product.slug}`,
+    lastmod: product.updatedAt,
+    item: {
+      id: product.sku || String(product._id),
+      title: product.name,
+      description: product.description || product.name,
+      imageLink: images[0],
+      additionalImageLinks: images.slice(1, 11),
+      price: product.price,
+      finalPrice: product.finalPrice ?? product.price,
+      availability,
+      availabilityDate,
+      brand: product.brand,
+      gender,
+      ageGroup,
+      sizes: product.sizes || [],
+      colors: (product.colors || []).map((c) => c.name).filter(Boolean),
+      material: product.material,
+      productType: [product.category, product.subCategory].filter(Boolean).join(" > "),
+      itemGroupId: product.variants?.length ? product.sku : undefined,
+      shippingWeightGrams: product.shipping?.weightGrams,
+      category: product.category,
+      subCategory: product.subCategory,
+      tags: product.tags || [],
+    },
+  };
+};
+
+/**
+ * Rebuild entries stamped stale. An entry re-stamped while it is being
+ * rebuilt keeps its newer staleAt and is picked up by the next refresh.
+ * @returns {Promise<{ refreshed: number, removed: number }>}
+ */
+export const refreshFeedEntries = async () => {
+  let refreshed = 0;
+  let removed = 0;
+  const skipped = new Set();
+
+  for (;;) {
+    const stale = await FeedEntry.find({
+      staleAt: { $ne: null },
+      _id: { $nin: [...skipped] },
+    })
+      .select("product staleAt")
+      .limit(REFRESH_BATCH_SIZE)
+      .lean();
+    if (!stale.length) break;
+
+    const products = await Product.find({ _id: { $in: stale.map((e) => e.product) } })
+      .select(FEED_PRODUCT_FIELDS)
+      .lean();
+    const byId = new Map(products.map((p) => [String(p._id), p]));
+    const generatedAt = new Date();
+
+    const ops = stale.map((entry) => {
+      const product = byId.get(String(entry.product));
+      if (!product) {
+        removed += 1;
+        return { deleteOne: { filter: { _id: entry._id, staleAt: entry.staleAt } } };
+      }
+      refreshed += 1;
+      return {
+        updateOne: {
+          filter: { _id: entry._id, staleAt: entry.staleAt },
+          update: { $set: { ...buildFeedEntry(product), staleAt: null, generatedAt } },
+        },
+      };
+    });
+
+    const result = await FeedEntry.bulkWrite(ops, { ordered: false });
+    // re-stamped mid-rebuild: leave for the next call instead of looping on it
+    if (result.modifiedCount + result.deletedCount < ops.length) {
+      stale.forEach((e) => skipped.add(e._id));
+    }
+  }
+
+  return { refreshed, removed };
+};
+
+/**
+ * Stamp stale any product changed since its entry was built (or never
+ * built), e.g. after bulk writes that skip Mongoose middleware.
+ * @returns {Promise<number>} entries stamped
+ */
+export const syncFeedEntries = async () => {
+  const changed = await Product.aggregate([
+    { $project: { updatedAt: 1 } },
+    {
+      $lookup: {
+        from: FeedEntry.collection.name,
+        localField: "_id",
+        foreignField: "product",
+        as: "entry",
+      },
+    },
+    {
+      $match: {
+        $expr: {
+          $or: [
+            { $eq: [{ $size: "$entry" }, 0] },
+            {
+              $gt: [
+                "$updatedAt",
+                { $ifNull: [{ $arrayElemAt: ["$entry.generatedAt", 0] }, new Date(0)] },
+              ],
+            },
+          ],
+        },
+      },
+    },
+    { $project: { _id: 1 } },
+  ]);
+
+  if (!changed.length) return 0;
+  const staleAt = new Date();
+  await FeedEntry.bulkWrite(
+    changed.map(({ _id }) => ({
+      updateOne: {
+        filter: { product: _id },
+        update: { $set: { staleAt } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  return changed.length;
+};
+
+/** -------------------------
+ * Rendering
+ * --------------------------*/
+const xmlEscape = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const absolute = (baseUrl, path) => `${baseUrl.replace(/\/+$/, "")}${path}`;
+
+const formatPrice = (amount, currency) => `${Number(amount || 0).toFixed(2)} ${currency}`;
+
+/**
+ * sitemap.xml for listed products and active categories
+ * @param {object} params
+ * @param {string} params.baseUrl - storefront origin
+ * @param {Array<object>} params.entries - listed FeedEntry docs (lean)
+ * @param {Array<object>} params.categories - active Category docs (lean)
+ * @returns {string}
+ */
+export const renderSitemap = ({ baseUrl, entries = [], categories = [] }) => {
+  const urls = [
+    { loc: absolute(baseUrl, "/"), priority: "1.0" },
+    ...categories.map((c) => ({
+      loc: absolute(baseUrl, `${CATEGORY_PATH_PREFIX}/${c.slug}`),
+      lastmod: c.updatedAt,
+      priority: "0.6",
+    })),
+    ...entries.map((e) => ({
+      loc: absolute(baseUrl, e.path),
+      lastmod: e.lastmod,
+      priority: "0.8",
+    })),
+  ].slice(0, SITEMAP_MAX_URLS);
+
+  const body = urls
+    .map(
+      (u) =>
+        `  <url><loc>${xmlEscape(u.loc)}</loc>` +
+        (u.lastmod ? `<lastmod>${new Date(u.lastmod).toISOString()}</lastmod>` : "") +
+        `<priority>${u.priority}</priority></url>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${body}\n</urlset>\n`;
+};
+
+/**
+ * Entry → flat merchant attributes (live sales applied)
+ */
+const toFeedAttributes = (entry, { baseUrl, currency, sales }) => {
+  const { item } = entry;
+  const target = {
+    _id: entry.product,
+    category: item.category,
+    subCategory: item.subCategory,
+    tags: item.tags,
+  };
+
+  let salePrice = item.finalPrice;
+  let saleWindow = null;
+  for (const sale of sales) {
+    if (!Sale.appliesTo(sale, target)) continue;
+    const price = applySaleDiscount(item.price, sale);
+    if (price < salePrice) {
+      salePrice = price;
+      saleWindow = sale;
+    }
+  }
+  const onSale = salePrice < item.price;
+
+  return {
+    id: item.id,
+    title: item.title,
+    description: item.description,
+    link: absolute(baseUrl, entry.path),
+    image_link: item.imageLink,
+    additional_image_link: item.additionalImageLinks || [],
+    availability: item.availability,
+    availability_date: item.availabilityDate
+      ? new Date(item.availabilityDate).toISOString()
+      : undefined,
+    price: formatPrice(item.price, currency),
+    sale_price: onSale ? formatPrice(salePrice, currency) : undefined,
+    sale_price_effective_date:
+      onSale && saleWindow
+        ? `${new Date(saleWindow.startsAt).toISOString()}/${new Date(saleWindow.endsAt).toISOString()}`
+        : undefined,
+    brand: item.brand,
+    condition: "new",
+    gender: item.gender,
+    age_group: item.ageGroup,
+    size: (item.sizes || []).join(","),
+    color: (item.colors || []).join("/"),
+    material: item.material,
+    product_type: item.productType,
+    item_group_id: item.itemGroupId,
+    shipping_weight: item.shippingWeightGrams ? `${item.shippingWeightGrams} g` : undefined,
+  };
+};
+
+export const FEED_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "link",
+  "image_link",
+  "additional_image_link",
+  "availability",
+  "availability_date",
+  "price",
+  "sale_price",
+  "sale_price_effective_date",
+  "brand",
+  "condition",
+  "gender",
+  "age_group",
+  "size",
+  "color",
+  "material",
+  "product_type",
+  "item_group_id",
+  "shipping_weight",
+];
+
+/**
+ * Merchant feed as RSS 2.0 with the g: namespace
+ */
+export const renderFeedXml = ({ baseUrl, currency, sales = [], entries = [], title = "Product feed" }) => {
+  const items = entries
+    .map((entry) => {
+      const attrs = toFeedAttributes(entry, { baseUrl, currency, sales });
+      const fields = FEED_COLUMNS.flatMap((col) => {
+        const value = attrs[col];
+        // repeated elements for multi-valued attributes
+        if (Array.isArray(value)) {
+          return value.map((v) => `<g:${col}>${xmlEscape(v)}</g:${col}>`);
+        }
+        if (value === undefined || value === null || value === "") return [];
+        const tag = ["title", "description", "link"].includes(col) ? col : `g:${col}`;
+        return [`<${tag}>${xmlEscape(value)}</${tag}>`];
+      });
+      return `    <item>\n      ${fields.join("\n      ")}\n    </item>`;
+    })
+    .join("\n");
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">\n  <channel>\n` +
+    `    <title>${xmlEscape(title)}</title>\n    <link>${xmlEscape(absolute(baseUrl, "/"))}</link>\n` +
+    `    <description>${xmlEscape(title)}</description>\n${items}\n  </channel>\n</rss>\n`
+  );
+};
+
+/**
+ * Merchant feed as CSV (same attribute names as the XML feed)
+ */
+export const renderFeedCsv = ({ baseUrl, currency, sales = [], entries = [] }) =>
+  toCsv(
+    entries.map((entry) => {
+      const attrs = toFeedAttributes(entry, { baseUrl, currency, sales });
+      return { ...attrs, additional_image_link: attrs.additional_image_link.join(",") };
+    }),
+    FEED_COLUMNS
+  );
@@ -0,0 +1,135 @@
+// src/utils/productHistory.js
+import ProductRevision from "../models/ProductRevision.js";
+
+// Not part of the audited state: identity, bookkeeping and shopper-driven data
+const UNTRACKED_FIELDS = [
+  "_id",
+  "id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "createdBy",
+  "updatedBy",
+  "reviews",
+  "ratings",
+];
+
+// Recorded even though the product state is unchanged
+const STATELESS_ACTIONS = ["purge"];
+
+// Attempts at claiming the next version when another change took it first
+const VERSION_ATTEMPTS = 5;
+
+// Lifecycle and identity stay as they are on revert; use archive/restore for those
+const REVERT_EXCLUDED_FIELDS = ["sku", "slug", "status", "isActive", "archivedAt", "stock"];
+
+/**
+ * Plain, JSON-safe copy of the audited product fields
+ * (Maps such as `translations` become plain objects, as on lean reads)
+ */
+export const toTrackedState = (product) => {
+  if (!product) return null;
+  const raw =
+    typeof product.toObject === "function" ? product.toObject({ flattenMaps: true }) : product;
+  const plain = JSON.parse(JSON.stringify(raw));
+  for (const field of UNTRACKED_FIELDS) delete plain[field];
+  return plain;
+};
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Nested objects become dot paths; arrays are compared as a whole
+const flatten = (obj = {}, prefix = "", out = {}) => {
+  for (const [key, value] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) flatten(value, path, out);
+    else out[path] = value;
+  }
+  return out;
+};
+
+/**
+ * Field-level diff between two tracked states
+ * @returns {Array<{ field: string, from: any, to: any }>}
+ */
+export const diffStates = (before = {}, after = {}) => {
+  const a = flatten(before || {});
+  const b = flatten(after || {});
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  return fields
+    .filter((f) => JSON.stringify(a[f]) !== JSON.stringify(b[f]))
+    .map((f) => ({ field: f, from: a[f], to: b[f] }));
+};
+
+/**
+ * Fields to $set when reverting to a revision snapshot.
+ * Inventory is live data: variants that still match keep today's stock.
+ * @param {object} snapshot - revision snapshot
+ * @param {object} current - product as it is now (lean)
+ */
+export const toRevertState = (snapshot, current = {}) => {
+  const restored = { ...snapshot };
+  for (const field of REVERT_EXCLUDED_FIELDS) delete restored[field];
+
+  if (Array.isArray(restored.variants)) {
+    restored.variants = restored.variants.map((v) => {
+      const match = (current.variants || []).find(
+        (cv) =>
+          cv.size === v.size &&
+          String(cv.color || "").toLowerCase() === String(v.color || "").toLowerCase()
+      );
+      return { ...v, stock: match ? match.stock : 0 };
+    });
+  }
+  return restored;
+};
+
+/**
+ * Append a revision for an admin change. Audit failures are logged, not thrown,
+ * so they never undo a change that has already been written.
+ * @param {object} options
+ * @param {object} options.product - product after the change
+ * @param {object|null} options.before - product before the change (null on create)
+ * @param {string} options.action - create | update | archive | restore | revert | stock | purge
+ * @param {string} [options.actor] - admin id
+ */
+export const recordProductChange = async ({
+  product,
+  before = null,
+  action,
+  actor,
+  revertedFrom,
+  note,
+}) => {
+  try {
+    const snapshot = toTrackedState(product);
+    const changes = diffStates(toTrackedState(before) || {}, snapshot);
+    if (before && !changes.length && !STATELESS_ACTIONS.includes(action)) return null;
+
+    // versions are unique per product: on a clash re-read the latest and retry
+    for (let attempt = 1; ; attempt += 1) {
+      const latest = await ProductRevision.findOne({ product: product._id })
+        .sort({ version: -1 })
+        .select("version")
+        .lean();
+
+      try {
+        return await ProductRevision.create({
+          product: product._id,
+          version: (latest?.version || 0) + 1,
+          action,
+          changedBy: actor,
+          changes,
+          snapshot,
+          revertedFrom,
+          note,
+        });
+      } catch (err) {
+        if (err.code !== 11000 || attempt >= VERSION_ATTEMPTS) throw err;
+      }
+    }
+  } catch (err) {
+    console.error("Error recording product history:", err?.message || err);
+    return null;
+  }
+};
@@ -0,0 +1,351 @@
+// src/utils/productSearch.js
+import Product from "../models/Product.js";
+import SearchSynonym from "../models/SearchSynonym.js";
+
+/**
+ * Catalog search layer used by listings and suggestions.
+ * - each query word is expanded to its stem, admin synonyms and, when the
+ *   word matches nothing in the catalog vocabulary, close spellings
+ *   ("kurtha" → kurta, "jens" → jeans)
+ * - candidates are fetched with word-prefix regexes, then ranked in memory
+ *   by field weight × match quality, boosted for stock and ratings; past
+ *   MAX_SEARCH_CANDIDATES matches, hits in heavier fields are ranked first
+ * Vocabulary and synonyms are cached for CACHE_TTL_MS; synonym edits
+ * clear the cache right away, product edits show up after the TTL.
+ */
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_FUZZY_MATCHES = 5;
+
+// Upper bound on documents ranked in memory per request
+export const MAX_SEARCH_CANDIDATES = 500;
+
+// Same relative weights as the text index
+const SEARCH_FIELDS = [
+  { path: "name", weight: 5 },
+  { path: "brand", weight: 3 },
+  { path: "category", weight: 2 },
+  { path: "subCategory", weight: 2 },
+  { path: "description", weight: 2 },
+  { path: "tags", weight: 1 },
+  { path: "colors.name", weight: 1 },
+  { path: "material", weight: 1 },
+];
+
+// Match quality per expansion kind
+const QUALITY = { exact: 1, stem: 0.95, synonym: 0.9, fuzzy: 0.7 };
+
+const STOP_WORDS = new Set(["a", "an", "and", "for", "in", "of", "the", "with"]);
+
+let vocabularyCache = { terms: null, loadedAt: 0 };
+let synonymCache = { groups: null, loadedAt: 0 };
+
+/** -------------------------
+ * Text helpers
+ * --------------------------*/
+const normalize = (text = "") =>
+  String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Synonym lookups treat "t-shirt" and "t shirt" alike
+const synonymKey = (text = "") => normalize(text).replace(/-/g, " ");
+
+const readPath = (obj, path) =>
+  path.split(".").reduce((acc, key) => {
+    if (acc == null) return undefined;
+    return Array.isArray(acc) ? acc.map((item) => item?.[key]) : acc[key];
+  }, obj);
+
+const tokenize = (text = "") =>
+  normalize(text)
+    .split(" ")
+    .map((t) => t.replace(/^-+|-+$/g, ""))
+    .filter(Boolean);
+
+/**
+ * Light English stemmer: enough to fold plurals and common verb endings.
+ * Stems are matched as word prefixes, so they only need to be a common
+ * root (dresses → dress, hoodies → hood, jeans → jean, printed → print)
+ */
+export const stem = (word = "") => {
+  const w = String(word).toLowerCase();
+  if (w.length <= 3) return w;
+  if (w.endsWith("ies")) return w.length > 5 ? w.slice(0, -3) : w.slice(0, -1);
+  if (/(ss|x|z|ch|sh)es$/.test(w)) return w.slice(0, -2);
+  if (w.endsWith("s") && !w.endsWith("ss") && !w.endsWith("us")) return w.slice(0, -1);
+  if (w.endsWith("ing") && w.length > 5) return w.slice(0, -3);
+  if (w.endsWith("ed") && w.length > 4) return w.slice(0, -2);
+  return w;
+};
+
+/**
+ * Optimal string alignment distance, bailing out once `max` is exceeded
+ */
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prevPrev &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// Short words must match exactly; longer words tolerate more typos
+const allowedEdits = (length) => (length <= 3 ? 0 : length <= 5 ? 1 : 2);
+
+const escapeRegex = (text = "") =>
+  String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Word-prefix match; spaces and hyphens are interchangeable (t shirt / t-shirt / tshirt)
+const termRegex = (term) =>
+  new RegExp(
+    `\\b${term
+      .split(/[\s-]+/)
+      .map(escapeRegex)
+      .join("[\\s\\-]*")}`,
+    "i"
+  );
+
+/** -------------------------
+ * Cached dictionaries
+ * --------------------------*/
+
+// Every word that appears in a searchable field of a visible product
+const loadVocabulary = async () => {
+  if (vocabularyCache.terms && Date.now() - vocabularyCache.loadedAt < CACHE_TTL_MS) {
+    return vocabularyCache.terms;
+  }
+
+  const terms = new Set();
+  const cursor = Product.find(Product.publicFilter())
+    .select(SEARCH_FIELDS.map(({ path }) => path).join(" "))
+    .lean()
+    .cursor();
+
+  for await (const product of cursor) {
+    for (const { path } of SEARCH_FIELDS) {
+      for (const value of [].concat(readPath(product, path) ?? [])) {
+        tokenize(value).forEach((t) => terms.add(t));
+      }
+    }
+  }
+
+  vocabularyCache = { terms, loadedAt: Date.now() };
+  return terms;
+};
+
+// term → all terms of its synonym group(s)
+const loadSynonyms = async () => {
+  if (synonymCache.groups && Date.now() - synonymCache.loadedAt < CACHE_TTL_MS) {
+    return synonymCache.groups;
+  }
+
+  const groups = new Map();
+  const docs = await SearchSynonym.find({ isActive: true }).select("terms").lean();
+  for (const { terms } of docs) {
+    for (const term of terms) {
+      const key = synonymKey(term);
+      if (!groups.has(key)) groups.set(key, new Set());
+      terms.forEach((t) => groups.get(key).add(synonymKey(t)));
+    }
+  }
+
+  synonymCache = { groups, loadedAt: Date.now() };
+  return groups;
+};
+
+/**
+ * Drop cached vocabulary and synonyms (call after synonym edits)
+ */
+export const invalidateSearchCache = () => {
+  vocabularyCache = { terms: null, loadedAt: 0 };
+  synonymCache = { groups: null, loadedAt: 0 };
+};
+
+/** -------------------------
+ * Query expansion
+ * --------------------------*/
+
+/**
+ * Expand a raw query into per-word alternatives
+ * @param {string} query
+ * @returns {Promise<{ query: string, tokens: Array<{ raw: string, variants: Array<{ term: string, quality: number, kind: string, regex: RegExp }> }> }>}
+ */
+export const expandSearch = async (query = "") => {
+  let words = tokenize(query);
+  if (words.length > 1) {
+    const meaningful = words.filter((w) => !STOP_WORDS.has(w));
+    if (meaningful.length) words = meaningful;
+  }
+  if (!words.length) return { query: normalize(query), tokens: [] };
+
+  const [vocabulary, synonyms] = await Promise.all([loadVocabulary(), loadSynonyms()]);
+  const vocabList = [...vocabulary];
+
+  const tokens = [];
+  for (let i = 0; i < words.length; i++) {
+    // two-word synonyms ("t shirt") take precedence over single words
+    const pair = i + 1 < words.length ? `${words[i]} ${words[i + 1]}` : null;
+    const raw = pair && synonyms.has(synonymKey(pair)) ? pair : words[i];
+    if (raw === pair) i += 1;
+
+    const variants = new Map();
+    const add = (term, kind) => {
+      const quality = QUALITY[kind];
+      if (term && (!variants.has(term) || variants.get(term).quality < quality)) {
+        variants.set(term, { term, quality, kind, regex: termRegex(term) });
+      }
+    };
+
+    const base = stem(raw);
+    add(raw, "exact");
+    add(base, "stem");
+    [raw, base].forEach((t) =>
+      synonyms.get(synonymKey(t))?.forEach((s) => add(s, "synonym"))
+    );
+
+    // Only look for typos when the word (or its stem) is unknown
+    const known = vocabList.some((v) => v.startsWith(base));
+    if (!known && !raw.includes(" ")) {
+      const max = allowedEdits(raw.length);
+      const close = vocabList
+        .map((v) => ({ v, d: Math.min(editDistance(raw, v, max), editDistance(base, stem(v), max)) }))
+        .filter(({ d }) => d > 0 && d <= max)
+        .sort((a, b) => a.d - b.d)
+        .slice(0, MAX_FUZZY_MATCHES);
+
+      for (const { v } of close) {
+        add(v, "fuzzy");
+        synonyms.get(synonymKey(v))?.forEach((s) => add(s, "fuzzy"));
+      }
+    }
+
+    tokens.push({ raw, variants: [...variants.values()] });
+  }
+
+  return { query: normalize(query), tokens };
+};
+
+/**
+ * Mongo filter matching products that hit any expanded term
+ */
+export const buildSearchFilter = (expansion) => {
+  const regexes = expansion.tokens.flatMap((t) => t.variants.map((v) => v.regex));
+  return {
+    $or: SEARCH_FIELDS.map(({ path }) => ({ [path]: { $in: regexes } })),
+  };
+};
+
+/**
+ * Up to MAX_SEARCH_CANDIDATES matches for ranking. Fields are drained in
+ * weight order (name hits before brand hits before description hits, newest
+ * first within a field), so a capped set keeps the likeliest best matches.
+ * @param {object} query - full listing filter, including buildSearchFilter()
+ */
+export const findSearchCandidates = async (query, expansion) => {
+  const regexes = expansion.tokens.flatMap((t) => t.variants.map((v) => v.regex));
+  const weights = [...new Set(SEARCH_FIELDS.map((f) => f.weight))].sort((a, b) => b - a);
+
+  const candidates = [];
+  for (const weight of weights) {
+    const remaining = MAX_SEARCH_CANDIDATES - candidates.length;
+    if (remaining <= 0) break;
+    const fields = SEARCH_FIELDS.filter((f) => f.weight === weight);
+    const found = await Product.find({
+      $and: [
+        query,
+        { $or: fields.map(({ path }) => ({ [path]: { $in: regexes } })) },
+        { _id: { $nin: candidates.map((p) => p._id) } },
+      ],
+    })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(remaining);
+    candidates.push(...found);
+  }
+  return candidates;
+};
+
+/** -------------------------
+ * Ranking
+ * --------------------------*/
+
+// Favour items that can ship now, then items that can be backordered
+const stockFactor = (product) => {
+  if (Number(product.stock) > 0) return 1.2;
+  return product.allowBackorder ? 1 : 0.75;
+};
+
+// Up to +20% for a 5★ average, scaled down until there are 20 reviews
+const ratingFactor = (product) => {
+  const average = Number(product.ratings?.average) || 0;
+  const count = Number(product.ratings?.count) || 0;
+  return 1 + 0.2 * (average / 5) * (Math.min(count, 20) / 20);
+};
+
+/**
+ * Relevance of one product for an expanded query
+ */
+export const scoreProduct = (product, expansion) => {
+  let textScore = 0;
+  let matched = 0;
+  for (const { variants } of expansion.tokens) {
+    let best = 0;
+    for (const { path, weight } of SEARCH_FIELDS) {
+      const values = [].concat(readPath(product, path) ?? []).filter(Boolean);
+      for (const v of variants) {
+        if (values.some((value) => v.regex.test(String(value)))) {
+          best = Math.max(best, weight * v.quality);
+        }
+      }
+    }
+    if (best > 0) matched += 1;
+    textScore += best;
+  }
+  if (!matched) return 0;
+
+  // Whole-query hits in the name beat scattered word hits
+  const coverage = matched / expansion.tokens.length;
+  const phraseBonus = normalize(product.name).includes(expansion.query) ? 3 : 0;
+
+  return (textScore * (0.5 + 0.5 * coverage) + phraseBonus) * stockFactor(product) * ratingFactor(product);
+};
+
+/**
+ * Sort products by relevance (newest first on ties)
+ * @returns {Array<object>} the same products, best match first
+ */
+export const rankProducts = (products, expansion) =>
+  products
+    .map((product) => ({ product, score: scoreProduct(product, expansion) }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        new Date(b.product.createdAt || 0) - new Date(a.product.createdAt || 0)
+    )
+    .map(({ product }) => product);
@@ -1,9 +1,24 @@
 // FILE: src/utils/productValidation.js
 import Joi from "joi";
+import { imageSchema } from "./validators.js";
+import Category from "../models/Category.js";
 
-const imageSchema = Joi.object({
-  url: Joi.string().uri().required(),
-  alt: Joi.string().trim().optional(),
+const colorSchema = Joi.object({
+  name: Joi.string().trim().required(),
+  hex: Joi.string()
+    .trim()
+    .pattern(/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i)
+    .optional()
+    .messages({ "string.pattern.base": "Colour hex must look like #1a2b3c" }),
+  images: Joi.array().items(imageSchema).default([]),
+});
+
+const variantSchema = Joi.object({
+  size: Joi.string().trim().required(),
+  color: Joi.string().trim().optional(),
+  sku: Joi.string().trim().optional(),
+  stock: Joi.number().integer().min(0).default(0),
+  price: Joi.number().min(0).optional(), // overrides product price for this size
 });
 
 const productSchema = Joi.object({
@@ -23,9 +38,23 @@ const productSchema = Joi.object({
   stock: Joi.number().integer().min(0).default(0),
   lowStockThreshold: Joi.number().integer().min(0).default(5),
   allowBackorder: Joi.boolean().default(false),
+  backorderLeadDays: Joi.number().integer().min(0).default(14),
+  restockDate: Joi.date().iso().allow(null).optional(),
 
   // Clothing-specific
   sizes: Joi.array().items(Joi.string().trim()),
+  colors: Joi.array()
+    .items(colorSchema)
+    .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase())
+    .optional(),
+  variants: Joi.array()
+    .items(variantSchema)
+    .unique(
+      (a, b) =>
+        a.size === b.size &&
+        (a.color || "").toLowerCase() === (b.color || "").toLowerCase()
+    )
+    .optional(),
 
   material: Joi.string().trim().optional(),
   gender: Joi.string().valid("Men", "Women", "Unisex", "Boys", "Girls").optional(),
@@ -53,6 +82,7 @@ const productSchema = Joi.object({
 
   // Flags
   isActive: Joi.boolean().default(true),
+  status: Joi.string().valid("draft", "active", "archived").optional(),
   isFeatured: Joi.boolean().default(false),
   isNewArrival: Joi.boolean().default(false),
 
@@ -60,12 +90,63 @@ const productSchema = Joi.object({
   metaTitle: Joi.string().trim().optional(),
   metaDescription: Joi.string().trim().optional(),
   keywords: Joi.array().items(Joi.string().trim()).optional(),
+}).custom((value, helpers) => {
+  // variant colours must be declared in `colors` when both are sent
+  if (Array.isArray(value.colors) && Array.isArray(value.variants)) {
+    const names = value.colors.map((c) => c.name.toLowerCase());
+    const unknown = value.variants.find(
+      (v) => v.color && !names.includes(v.color.toLowerCase())
+    );
+    if (unknown) {
+      return helpers.message(
+        `Variant colour "${unknown.color}" is not listed in colors`
+      );
+    }
+  }
+  return value;
 });
 
 export const validateCreateProduct = (data) =>
   productSchema.validate(data, { abortEarly: false, stripUnknown: true });
 
+// noDefaults: a partial update must not reset omitted fields (e.g. isActive)
 export const validateUpdateProduct = (data) =>
   productSchema
     .fork(Object.keys(productSchema.describe().keys), (field) => field.optional())
-    .validate(data, { abortEarly: false, stripUnknown: true });
+    .validate(data, { abortEarly: false, stripUnknown: true, noDefaults: true });
+
+// Admin variant stock adjustment: either set absolute stock or apply a delta
+const variantStockSchema = Joi.object({
+  stock: Joi.number().integer().min(0),
+  delta: Joi.number().integer(),
+}).xor("stock", "delta");
+
+export const validateVariantStock = (data) =>
+  variantStockSchema.validate(data, { abortEarly: false, stripUnknown: true });
+
+/**
+ * Check category/subCategory against the active Category taxonomy.
+ * On success the values are rewritten to the canonical category names.
+ * @param {object} value - validated product payload (mutated)
+ * @param {object} [current] - existing product, for partial updates
+ * @returns {Promise<string[]>} error messages (empty when valid)
+ */
+export const validateProductCategories = async (value, current = {}) => {
+  if (!("category" in value) && !("subCategory" in value)) return [];
+
+  const categoryInput = value.category ?? current.category;
+  // products sit in an active top-level category; subcategories go in subCategory
+  const category = await Category.findByNameOrSlug(categoryInput, null, { activeOnly: true });
+  if (!category) return [`"${categoryInput}" is not an active top-level category`];
+  value.category = category.name;
+
+  const subInput = "subCategory" in value ? value.subCategory : current.subCategory;
+  if (!subInput) return [];
+
+  const sub = await Category.findByNameOrSlug(subInput, category._id, { activeOnly: true });
+  if (!sub) {
+    return [`"${subInput}" is not an active subcategory of ${category.name}`];
+  }
+  value.subCategory = sub.name;
+  return [];
+};
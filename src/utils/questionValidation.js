@@ -0,0 +1,22 @@
+// FILE: src/utils/questionValidation.js
+import Joi from "joi";
+import { MODERATION_STATUSES } from "../models/ProductQuestion.js";
+
+export const validateCreateQuestion = (data) =>
+  Joi.object({
+    body: Joi.string().trim().min(5).max(1000).required(),
+  }).validate(data, { abortEarly: false, stripUnknown: true });
+
+export const validateCreateAnswer = (data) =>
+  Joi.object({
+    body: Joi.string().trim().min(2).max(2000).required(),
+  }).validate(data, { abortEarly: false, stripUnknown: true });
+
+// ✅ Admin moderation decision (note is shown to admins only)
+export const validateModeration = (data) =>
+  Joi.object({
+    status: Joi.string()
+      .valid(...MODERATION_STATUSES)
+      .required(),
+    note: Joi.string().trim().max(500).allow("").optional(),
+  }).validate(data, { abortEarly: false, stripUnknown: true });
@@ -0,0 +1,51 @@
+// src/utils/reviewModeration.js
+import Product from "../models/Product.js";
+import User from "../models/User.js";
+import { sendEmail } from "./sendEmail.js";
+import { generateReviewDecisionEmailTemplate } from "./emailTemplates.js";
+
+/**
+ * Pre-moderation: shopper reviews wait in the admin queue until approved.
+ * REVIEW_PREMODERATION=false publishes them immediately (admins can still
+ * reject afterwards).
+ */
+export const reviewsRequireApproval = () =>
+  String(process.env.REVIEW_PREMODERATION ?? "true").toLowerCase() !== "false";
+
+/**
+ * REVIEW_REQUIRE_PURCHASE=true only lets users with a delivered order
+ * containing the product review it (off by default; reviews from buyers
+ * are flagged as verified either way)
+ */
+export const reviewsRequirePurchase = () =>
+  String(process.env.REVIEW_REQUIRE_PURCHASE ?? "false").toLowerCase() === "true";
+
+/**
+ * Abuse reports that hide an approved review until an admin looks at it
+ * (REVIEW_REPORT_THRESHOLD, default 3)
+ */
+export const reportThreshold = () => Math.max(1, Number(process.env.REVIEW_REPORT_THRESHOLD) || 3);
+
+/**
+ * Email the reviewer about an approve/reject decision.
+ * Errors are logged, never thrown, so callers can fire and forget.
+ */
+export const notifyReviewDecision = async (review) => {
+  try {
+    const [user, product] = await Promise.all([
+      User.findById(review.user).select("username email").lean(),
+      Product.findById(review.product).select("name").lean(),
+    ]);
+    if (!user?.email) return;
+
+    const { subject, html } = generateReviewDecisionEmailTemplate({
+      username: user.username,
+      productName: product?.name || "your purchase",
+      status: review.status,
+      reason: review.rejectionReason,
+    });
+    await sendEmail(user.email, subject, html);
+  } catch (err) {
+    console.error("Review decision notification failed:", err?.message || err);
+  }
+};
@@ -1,10 +1,7 @@
 // FILE: src/utils/reviewValidation.js
 import Joi from "joi";
-
-const imageSchema = Joi.object({
-  url: Joi.string().uri().required(),
-  alt: Joi.string().trim().optional(),
-});
+import { imageSchema } from "./validators.js";
+import { REPORT_REASONS } from "../models/Review.js";
 
 const baseReviewSchema = {
   rating: Joi.number().min(1).max(5).required(),
@@ -34,4 +31,25 @@ export const validateUpdateReview = (data) =>
     .validate(data, {
       abortEarly: false,
       stripUnknown: true,
+      noDefaults: true, // a missing `images` must not clear the photos
     });
+
+// ✅ Admin moderation decision (a reason is required to reject)
+export const validateReviewModeration = (data) =>
+  Joi.object({
+    status: Joi.string().valid("approved", "rejected").required(),
+    reason: Joi.when("status", {
+      is: "rejected",
+      then: Joi.string().trim().max(500).required(),
+      otherwise: Joi.any().strip(),
+    }),
+  }).validate(data, { abortEarly: false, stripUnknown: true });
+
+// ✅ Abuse report from a shopper
+export const validateReviewReport = (data) =>
+  Joi.object({
+    reason: Joi.string()
+      .valid(...REPORT_REASONS)
+      .required(),
+    note: Joi.string().trim().max(500).allow("").optional(),
+  }).validate(data, { abortEarly: false, stripUnknown: true });
@@ -0,0 +1,60 @@
+// src/utils/salePricing.js
+import Sale from "../models/Sale.js";
+
+/**
+ * Sale prices are resolved at read time from live campaigns, so they
+ * revert on their own once a campaign ends. Stored `finalPrice` stays the
+ * regular (product discount) price; DB-side price filters/sorts use it.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Campaigns live right now
+ * @returns {Promise<Array<object>>}
+ */
+export const getLiveSales = (at = new Date()) => Sale.findLive(at);
+
+/**
+ * Apply one campaign's discount to a base (pre-discount) price
+ */
+export const applySaleDiscount = (basePrice, sale) => {
+  const base = Number(basePrice) || 0;
+  const value = Number(sale?.discountValue) || 0;
+  const discounted =
+    sale?.discountType === "amount" ? base - value : base - (base * value) / 100;
+  return Math.max(0, round2(discounted));
+};
+
+/**
+ * Best price for a product (and optional size/colour) given live sales.
+ * The customer gets the lower of the regular price and any sale price.
+ * @param {object} product - Product document
+ * @param {Array<object>} sales - live campaigns
+ * @returns {{ price: number, regularPrice: number, sale: object|null }}
+ */
+export const resolveSalePrice = (product, sales = [], size, color) => {
+  const regularPrice = Number(product.priceFor(size, color)) || 0;
+  const variant = product.findVariant(size, color);
+  const basePrice =
+    variant && typeof variant.price === "number" ? variant.price : product.price;
+
+  let best = { price: regularPrice, regularPrice, sale: null };
+  for (const sale of sales) {
+    if (!Sale.appliesTo(sale, product)) continue;
+    const price = applySaleDiscount(basePrice, sale);
+    if (price < best.price) best = { price, regularPrice, sale };
+  }
+  return best;
+};
+
+/**
+ * Fields merged into product responses
+ */
+export const salePricingFields = (product, sales = []) => {
+  const { price, sale } = resolveSalePrice(product, sales);
+  return {
+    effectivePrice: price,
+    sale: sale ? { id: sale._id, name: sale.name, endsAt: sale.endsAt } : null,
+  };
+};
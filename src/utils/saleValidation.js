@@ -0,0 +1,52 @@
+// FILE: src/utils/saleValidation.js
+import Joi from "joi";
+
+const objectId = Joi.string().hex().length(24);
+
+const saleSchema = Joi.object({
+  name: Joi.string().trim().max(120).required(),
+  description: Joi.string().trim().allow("").optional(),
+
+  discountType: Joi.string().valid("percent", "amount").default("percent"),
+  discountValue: Joi.number()
+    .min(0)
+    .when("discountType", {
+      is: "percent",
+      then: Joi.number().max(100),
+    })
+    .required(),
+
+  startsAt: Joi.date().iso().required(),
+  endsAt: Joi.date().iso().greater(Joi.ref("startsAt")).required(),
+
+  appliesTo: Joi.object({
+    allProducts: Joi.boolean().default(false),
+    products: Joi.array().items(objectId).default([]),
+    categories: Joi.array().items(Joi.string().trim()).default([]),
+    tags: Joi.array().items(Joi.string().trim().lowercase()).default([]),
+  })
+    .custom((value, helpers) => {
+      const hasTarget =
+        value.allProducts ||
+        (value.products || []).length ||
+        (value.categories || []).length ||
+        (value.tags || []).length;
+      return hasTarget
+        ? value
+        : helpers.message("appliesTo must target products, categories, tags or allProducts");
+    })
+    .required(),
+
+  isActive: Joi.boolean().default(true),
+});
+
+export const validateCreateSale = (data) =>
+  saleSchema.validate(data, { abortEarly: false, stripUnknown: true });
+
+// startsAt/endsAt ordering across stored + incoming values is checked by the model
+export const validateUpdateSale = (data) =>
+  saleSchema
+    .fork(Object.keys(saleSchema.describe().keys), (field) => field.optional())
+    .fork(["endsAt"], () => Joi.date().iso().optional())
+    .min(1)
+    .validate(data, { abortEarly: false, stripUnknown: true, noDefaults: true });
@@ -0,0 +1,15 @@
+// src/utils/slugify.js
+
+/**
+ * Lowercase, dash-separated URL slug ("Men's Tees" -> "men-s-tees")
+ * @param {string} text
+ * @returns {string}
+ */
+export const slugify = (text = "") =>
+  text
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-+|-+$/g, "");
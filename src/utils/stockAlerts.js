@@ -0,0 +1,91 @@
+// src/utils/stockAlerts.js
+import Product from "../models/Product.js";
+import Admin from "../models/Admin.js";
+import StockAlert from "../models/StockAlert.js";
+import { sendEmail } from "./sendEmail.js";
+import { generateLowStockEmailTemplate } from "./emailTemplates.js";
+
+/**
+ * Stock-keeping units of a product: one per variant, or the product itself
+ */
+export const stockUnits = (product) =>
+  product.variants?.length
+    ? product.variants.map((v) => ({
+        sku: v.sku,
+        size: v.size,
+        color: v.color,
+        stock: Number(v.stock) || 0,
+      }))
+    : [{ sku: product.sku, stock: Number(product.stock) || 0 }];
+
+// ADMIN_ALERT_EMAIL overrides; otherwise every admin account is notified
+const alertRecipients = async () => {
+  if (process.env.ADMIN_ALERT_EMAIL) return process.env.ADMIN_ALERT_EMAIL;
+  const admins = await Admin.find({}).select("email").lean();
+  return admins.map((a) => a.email).join(",");
+};
+
+/**
+ * Open (and email) alerts for SKUs at or below lowStockThreshold and resolve
+ * alerts whose stock has recovered. Errors are logged, never thrown, so
+ * callers can fire and forget after their own work is committed.
+ * @param {Array<string>} productIds
+ */
+export const checkLowStock = async (productIds = []) => {
+  try {
+    const ids = [...new Set(productIds.map(String))];
+    if (!ids.length) return [];
+
+    const products = await Product.find({
+      _id: { $in: ids },
+      status: { $ne: "archived" },
+    }).lean();
+
+    const raised = [];
+    for (const product of products) {
+      const threshold = Number(product.lowStockThreshold ?? 5);
+
+      for (const unit of stockUnits(product)) {
+        const key = { product: product._id, sku: unit.sku, status: "open" };
+
+        if (unit.stock > threshold) {
+          await StockAlert.updateMany(key, {
+            $set: { status: "resolved", resolvedAt: new Date(), stock: unit.stock },
+          });
+          continue;
+        }
+
+        const result = await StockAlert.findOneAndUpdate(
+          key,
+          {
+            $set: { stock: unit.stock, threshold },
+            $setOnInsert: {
+              productName: product.name,
+              size: unit.size,
+              color: unit.color,
+            },
+          },
+          { upsert: true, new: true, includeResultMetadata: true }
+        );
+        if (!result.lastErrorObject?.updatedExisting) raised.push(result.value);
+      }
+    }
+
+    if (raised.length) {
+      const to = await alertRecipients();
+      if (to) {
+        const { subject, html } = generateLowStockEmailTemplate({ alerts: raised });
+        await sendEmail(to, subject, html);
+        await StockAlert.updateMany(
+          { _id: { $in: raised.map((a) => a._id) } },
+          { $set: { notifiedAt: new Date() } }
+        );
+      }
+    }
+
+    return raised;
+  } catch (err) {
+    console.error("Low-stock check failed:", err?.message || err);
+    return [];
+  }
+};
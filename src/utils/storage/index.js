@@ -0,0 +1,59 @@
+// src/utils/storage/index.js
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLocalDiskStorage } from "./localDisk.js";
+
+/**
+ * Pluggable file storage used by the upload pipeline.
+ * An adapter implements:
+ *   save(key, buffer, contentType) → Promise<{ key, url }>
+ *   remove(key) → Promise<void>
+ *   urlFor(key) → string
+ *   serve (optional) → express middleware for adapters the app serves itself
+ * STORAGE_DRIVER picks the adapter (default "local"); register others with
+ * registerStorageDriver(name, factory).
+ */
+
+// Path the app serves local uploads from
+export const UPLOADS_PATH = "/uploads";
+
+// Relative URLs of locally served uploads (absolute URLs validate as plain URIs)
+export const STORED_URL_PATTERN = new RegExp(`^${UPLOADS_PATH}/(?!.*\\.\\.)[\\w\\-./]+$`);
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const drivers = {
+  local: () =>
+    createLocalDiskStorage({
+      rootDir: process.env.UPLOAD_DIR || path.resolve(__dirname, "../../../uploads"),
+      publicUrl: process.env.UPLOAD_PUBLIC_URL || UPLOADS_PATH,
+    }),
+};
+
+let storage = null;
+
+export const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+  storage = null;
+};
+
+/**
+ * Active adapter (created on first use so .env is already loaded)
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    const factory = drivers[name];
+    if (!factory) throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    storage = factory();
+  }
+  return storage;
+};
+
+/**
+ * Express middleware serving stored files for adapters that support it
+ */
+export const serveUploads = (req, res, next) => {
+  const { serve } = getStorage();
+  return serve ? serve(req, res, next) : next();
+};
@@ -0,0 +1,50 @@
+// src/utils/storage/localDisk.js
+import fs from "fs/promises";
+import path from "path";
+import express from "express";
+
+/**
+ * Local disk storage adapter.
+ * Files live under `rootDir` and are served by the app at `publicUrl`
+ * (see `serve`), unless publicUrl points at a CDN in front of the folder.
+ * @param {object} options
+ * @param {string} options.rootDir - absolute folder for uploaded files
+ * @param {string} options.publicUrl - URL prefix files are reachable at
+ */
+export const createLocalDiskStorage = ({ rootDir, publicUrl }) => {
+  const root = path.resolve(rootDir);
+  const base = publicUrl.replace(/\/+$/, "");
+
+  // keys are generated server-side, but never let one escape the root
+  const resolveKey = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    name: "local",
+
+    urlFor: (key) => `${base}/${key}`,
+
+    async save(key, buffer) {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return { key, url: `${base}/${key}` };
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    // Static handler; helmet's same-origin CORP would block storefront <img> tags
+    serve: express.static(root, {
+      fallthrough: true,
+      index: false,
+      maxAge: "30d",
+      immutable: true,
+      setHeaders: (res) => res.set("Cross-Origin-Resource-Policy", "cross-origin"),
+    }),
+  };
+};
@@ -0,0 +1,21 @@
+// FILE: src/utils/synonymValidation.js
+import Joi from "joi";
+
+const synonymSchema = Joi.object({
+  terms: Joi.array()
+    .items(Joi.string().trim().lowercase().max(60))
+    .min(2)
+    .unique()
+    .required()
+    .messages({ "array.min": "A synonym group needs at least two terms" }),
+  isActive: Joi.boolean().default(true),
+});
+
+export const validateCreateSynonym = (data) =>
+  synonymSchema.validate(data, { abortEarly: false, stripUnknown: true });
+
+export const validateUpdateSynonym = (data) =>
+  synonymSchema
+    .fork(["terms"], (field) => field.optional())
+    .min(1)
+    .validate(data, { abortEarly: false, stripUnknown: true, noDefaults: true });
@@ -0,0 +1,13 @@
+// FILE: src/utils/translationValidation.js
+import Joi from "joi";
+
+// Empty strings clear a field (it falls back to the default locale again)
+const translationSchema = Joi.object({
+  name: Joi.string().trim().max(200).allow(""),
+  description: Joi.string().trim().allow(""),
+  metaTitle: Joi.string().trim().max(200).allow(""),
+  metaDescription: Joi.string().trim().max(500).allow(""),
+}).min(1);
+
+export const validateTranslation = (data) =>
+  translationSchema.validate(data, { abortEarly: false, stripUnknown: true });
@@ -0,0 +1,223 @@
+// src/utils/uploads.js
+import crypto from "crypto";
+import sharp from "sharp";
+import Upload from "../models/Upload.js";
+import Product from "../models/Product.js";
+import ProductRevision from "../models/ProductRevision.js";
+import Review from "../models/Review.js";
+import ReviewDuplicate from "../models/ReviewDuplicate.js";
+import Bundle from "../models/Bundle.js";
+import Collection from "../models/Collection.js";
+import Category from "../models/Category.js";
+import { getStorage } from "./storage/index.js";
+
+/**
+ * Image upload pipeline: verify the bytes are an allowed image, strip
+ * metadata (EXIF/GPS), store the original plus webp thumbnails, and
+ * remove files once no product, review, bundle or collection points at
+ * them any more.
+ * Revision snapshots of existing products count as references, so a
+ * revert never brings back an image whose file is gone.
+ */
+
+// Declared content type → sharp format and file extension
+export const ALLOWED_IMAGE_TYPES = {
+  "image/jpeg": { format: "jpeg", ext: "jpg" },
+  "image/png": { format: "png", ext: "png" },
+  "image/webp": { format: "webp", ext: "webp" },
+};
+
+export const THUMBNAIL_SIZES = [
+  { name: "thumb", width: 150 },
+  { name: "small", width: 400 },
+  { name: "medium", width: 800 },
+];
+
+// Guards sharp against decompression bombs (~40 megapixels)
+const MAX_INPUT_PIXELS = 40_000_000;
+
+export class UploadValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UploadValidationError";
+  }
+}
+
+const newKeyBase = (purpose) => {
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, "0");
+  return `${purpose}s/${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}`;
+};
+
+/**
+ * Store one multer file (memory storage) as an Upload
+ * @param {{ buffer: Buffer, mimetype: string, originalname: string }} file
+ * @param {{ purpose: "product"|"review", uploadedBy: string, uploaderRole: "admin"|"user" }} meta
+ * @returns {Promise<import("mongoose").Document>} Upload document
+ * @throws {UploadValidationError} when the file is not a supported image
+ */
+export const storeImage = async (file, { purpose, uploadedBy, uploaderRole }) => {
+  const type = ALLOWED_IMAGE_TYPES[file.mimetype];
+  if (!type) throw new UploadValidationError(`${file.originalname}: unsupported file type`);
+
+  // Trust the bytes, not the header: sharp must recognise the declared format
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    throw new UploadValidationError(`${file.originalname}: not a readable image`);
+  }
+  if (metadata.format !== type.format) {
+    throw new UploadValidationError(
+      `${file.originalname}: content is ${metadata.format || "unknown"}, not ${file.mimetype}`
+    );
+  }
+
+  const storage = getStorage();
+  const base = newKeyBase(purpose);
+  const savedKeys = [];
+
+  try {
+    // .rotate() bakes in EXIF orientation; output carries no metadata
+    const original = await sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .toBuffer({ resolveWithObject: true });
+
+    const key = `${base}.${type.ext}`;
+    const { url } = await storage.save(key, original.data, file.mimetype);
+    savedKeys.push(key);
+
+    const thumbnails = [];
+    for (const size of THUMBNAIL_SIZES) {
+      const thumb = await sharp(original.data)
+        .resize({ width: size.width, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      const thumbKey = `${base}-${size.name}.webp`;
+      const saved = await storage.save(thumbKey, thumb.data, "image/webp");
+      savedKeys.push(thumbKey);
+      thumbnails.push({
+        name: size.name,
+        key: thumbKey,
+        url: saved.url,
+        width: thumb.info.width,
+        height: thumb.info.height,
+      });
+    }
+
+    return await Upload.create({
+      key,
+      url,
+      storage: storage.name,
+      contentType: file.mimetype,
+      size: original.info.size,
+      width: original.info.width,
+      height: original.info.height,
+      thumbnails,
+      purpose,
+      uploadedBy,
+      uploaderRole,
+    });
+  } catch (err) {
+    await Promise.all(savedKeys.map((k) => storage.remove(k).catch(() => {})));
+    throw err;
+  }
+};
+
+/**
+ * Shape stored on product/review `images[]`
+ */
+export const toImageRef = (upload, alt) => ({
+  url: upload.url,
+  ...(alt && { alt }),
+  thumbnails: Object.fromEntries(upload.thumbnails.map((t) => [t.name, t.url])),
+});
+
+/**
+ * Every image URL on a product (gallery and colour galleries) or on
+ * anything else with an `images[]`, such as a review
+ */
+export const collectImageUrls = (doc = {}) => [
+  ...(doc.images || []).map((img) => img?.url),
+  ...(doc.colors || []).flatMap((c) => (c?.images || []).map((img) => img?.url)),
+].filter(Boolean);
+
+/**
+ * Is an image URL used by a product, colour gallery, review (including
+ * set-aside duplicates), bundle, collection hero, category, or a revision
+ * of a product that still exists?
+ */
+export const isImageReferenced = async (url) => {
+  const [live, reviewed, setAside, bundled, featured, categorised] = await Promise.all([
+    Product.exists({ $or: [{ "images.url": url }, { "colors.images.url": url }] }),
+    Review.exists({ "images.url": url }),
+    ReviewDuplicate.exists({ "images.url": url }),
+    Bundle.exists({ "images.url": url }),
+    Collection.exists({ "heroImages.url": url }),
+    Category.exists({ "image.url": url }),
+  ]);
+  if (live || reviewed || setAside || bundled || featured || categorised) return true;
+
+  const historic = await ProductRevision.distinct("product", {
+    $or: [{ "snapshot.images.url": url }, { "snapshot.colors.images.url": url }],
+  });
+  return historic.length > 0 && Boolean(await Product.exists({ _id: { $in: historic } }));
+};
+
+/**
+ * Delete an upload's files and record
+ */
+export const removeUpload = async (upload) => {
+  const storage = getStorage();
+  await Promise.all(
+    [upload.key, ...upload.thumbnails.map((t) => t.key)].map((key) => storage.remove(key))
+  );
+  await Upload.deleteOne({ _id: upload._id });
+};
+
+/**
+ * Remove uploads among `urls` that nothing references any more
+ * (external URLs are ignored: they have no Upload record)
+ * @returns {Promise<number>} uploads removed
+ */
+export const cleanupOrphanedUploads = async (urls = []) => {
+  const unique = [...new Set(urls.filter(Boolean))];
+  if (!unique.length) return 0;
+
+  let removed = 0;
+  const uploads = await Upload.find({ url: { $in: unique } });
+  for (const upload of uploads) {
+    if (await isImageReferenced(upload.url)) continue;
+    await removeUpload(upload);
+    removed += 1;
+  }
+  return removed;
+};
+
+/**
+ * Fire-and-forget cleanup of image URLs dropped by a delete
+ */
+export const releaseImages = (beforeUrls = [], afterUrls = []) => {
+  const kept = new Set(afterUrls);
+  const dropped = beforeUrls.filter((url) => !kept.has(url));
+  if (!dropped.length) return;
+  cleanupOrphanedUploads(dropped).catch((err) =>
+    console.error("Error cleaning up orphaned uploads:", err?.message || err)
+  );
+};
+
+/**
+ * Remove uploads older than `olderThan` that nothing references, e.g.
+ * uploads that were never attached to a product or review
+ * @returns {Promise<number>} uploads removed
+ */
+export const sweepOrphanedUploads = async (olderThan) => {
+  let removed = 0;
+  const cursor = Upload.find({ createdAt: { $lt: olderThan } }).cursor();
+  for await (const upload of cursor) {
+    if (await isImageReferenced(upload.url)) continue;
+    await removeUpload(upload);
+    removed += 1;
+  }
+  return removed;
+};
@@ -1,5 +1,6 @@
 // FILE: src/utils/validators.js
 import Joi from "joi";
+import { STORED_URL_PATTERN } from "./storage/index.js";
 
 /**
  * Username validation
@@ -84,3 +85,24 @@ export const profileUpdateSchema = Joi.object({
   }),
   address: addressSchema.optional(),
 });
+
+/**
+ * Image URL validation
+ * - external URL, or a file returned by POST /api/uploads/images
+ */
+export const imageUrlSchema = Joi.alternatives()
+  .try(Joi.string().uri(), Joi.string().pattern(STORED_URL_PATTERN))
+  .messages({ "alternatives.match": "Image url must be a URL or an uploaded image path" });
+
+/**
+ * Image validation (products, reviews, bundles, collections)
+ */
+export const imageSchema = Joi.object({
+  url: imageUrlSchema.required(),
+  alt: Joi.string().trim().optional(),
+  thumbnails: Joi.object({
+    thumb: imageUrlSchema,
+    small: imageUrlSchema,
+    medium: imageUrlSchema,
+  }).optional(),
+});
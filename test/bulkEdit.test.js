@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyBulkOperations,
+  buildBulkFilter,
+  previewFinalPrice,
+} from "../src/utils/bulkEdit.js";
+
+const product = () => ({
+  price: 1000,
+  discount: 10,
+  tags: ["summer"],
+  isFeatured: false,
+  variants: [{ size: "M", price: 1100 }, { size: "L" }],
+});
+
+test("buildBulkFilter skips archived products unless asked", () => {
+  assert.deepEqual(buildBulkFilter({ category: "Shirts" }), {
+    category: "Shirts",
+    status: { $ne: "archived" },
+  });
+  assert.deepEqual(buildBulkFilter({ includeArchived: true }), {});
+});
+
+test("buildBulkFilter normalises brands and tags", () => {
+  assert.deepEqual(buildBulkFilter({ ids: ["a", "b"], brand: "Acme", tags: [" Linen "] }), {
+    _id: { $in: ["a", "b"] },
+    brand: { $in: ["Acme"] },
+    tags: { $in: ["linen"] },
+    status: { $ne: "archived" },
+  });
+});
+
+test("a percent increase moves the price and variant overrides", () => {
+  const $set = applyBulkOperations(product(), [
+    { field: "price", action: "increase", by: "percent", value: 10 },
+  ]);
+  assert.deepEqual($set, { price: 1100, "variants.0.price": 1210 });
+});
+
+test("setting the price leaves variant overrides alone", () => {
+  const $set = applyBulkOperations(product(), [
+    { field: "price", action: "set", value: 900 },
+  ]);
+  assert.deepEqual($set, { price: 900 });
+});
+
+test("prices and discounts are clamped to their ranges", () => {
+  const $set = applyBulkOperations(product(), [
+    { field: "price", action: "decrease", by: "amount", value: 5000 },
+    { field: "discount", action: "increase", by: "amount", value: 500 },
+  ]);
+  assert.deepEqual($set, { price: 0, discount: 100, "variants.0.price": 0 });
+});
+
+test("flags and tags only appear when they change", () => {
+  const $set = applyBulkOperations(product(), [
+    { field: "isFeatured", action: "set", value: true },
+    { field: "tags", action: "add", value: ["Summer", "Linen"] },
+    { field: "tags", action: "remove", value: ["summer"] },
+  ]);
+  assert.deepEqual($set, { isFeatured: true, tags: ["linen"] });
+
+  assert.deepEqual(
+    applyBulkOperations(product(), [{ field: "tags", action: "add", value: ["summer"] }]),
+    {}
+  );
+});
+
+test("previewFinalPrice applies the pending discount", () => {
+  assert.equal(previewFinalPrice(product(), { discount: 25 }), 750);
+  assert.equal(previewFinalPrice(product(), {}), 900);
+});
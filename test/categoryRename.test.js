@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Category from "../src/models/Category.js";
+
+test("renaming a top-level category updates product.category", () => {
+  assert.deepEqual(Category.productRename("Shoes", "Footwear"), {
+    filter: { category: "Shoes" },
+    update: { $set: { category: "Footwear" } },
+  });
+});
+
+test("renaming a subcategory only touches products under its parent", () => {
+  const { filter, update } = Category.productRename("Shoes", "Sneakers", "Sportswear");
+  assert.deepEqual(filter, { category: "Sportswear", subCategory: "Shoes" });
+  assert.deepEqual(update, { $set: { subCategory: "Sneakers" } });
+  // never the top-level "Shoes" category
+  assert.equal("category" in update.$set, false);
+});
+
+test("productFilter matches products by level", () => {
+  assert.deepEqual(Category.productFilter("Shirts"), { category: "Shirts" });
+  assert.deepEqual(Category.productFilter("Linen", "Shirts"), {
+    category: "Shirts",
+    subCategory: "Linen",
+  });
+});
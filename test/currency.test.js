@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Currency from "../src/models/Currency.js";
+import { convertAmount } from "../src/utils/currency.js";
+import { validateCreateCurrency } from "../src/utils/currencyValidation.js";
+
+const usd = (rounding = {}, decimals = 2) => ({
+  code: "USD",
+  rate: 0.012,
+  decimals,
+  rounding: { increment: 0.01, mode: "nearest", ending: null, ...rounding },
+});
+
+test("converts at the rate and rounds to the increment", () => {
+  assert.equal(convertAmount(1000, usd()), 12);
+  assert.equal(convertAmount(1025, usd({ increment: 0.05 })), 12.3);
+  assert.equal(convertAmount(1025, usd({ increment: 0.05, mode: "up" })), 12.3);
+  assert.equal(convertAmount(1030, usd({ increment: 0.05, mode: "down" })), 12.35);
+});
+
+test("charm endings apply to retail prices only", () => {
+  assert.equal(convertAmount(1025, usd({ ending: 0.99 }), { retail: true }), 12.99);
+  assert.equal(convertAmount(1025, usd({ ending: 0.99 })), 12.3);
+});
+
+test("charm endings follow the increment rounding", () => {
+  // 1230 → 1000 (nearest 1000) → 999.99 would be below it, so 1000.99
+  const coarse = (mode) => ({
+    code: "KRW",
+    rate: 1,
+    decimals: 2,
+    rounding: { increment: 1000, mode, ending: 0.99 },
+  });
+  assert.equal(convertAmount(1230, coarse("nearest"), { retail: true }), 1000.99);
+  assert.equal(convertAmount(1230, coarse("up"), { retail: true }), 2000.99);
+});
+
+test("charm endings never round zero-decimal currencies up a unit", () => {
+  const jpy = {
+    code: "JPY",
+    rate: 1.8,
+    decimals: 0,
+    rounding: { increment: 10, mode: "down", ending: 0.99 },
+  };
+  assert.equal(convertAmount(1000, jpy, { retail: true }), 1800);
+});
+
+test("zero amounts stay zero", () => {
+  assert.equal(convertAmount(0, usd({ ending: 0.99 }), { retail: true }), 0);
+});
+
+test("validation rejects a zero rate and endings on zero-decimal currencies", () => {
+  assert.ok(validateCreateCurrency({ code: "USD", rate: 0 }).error);
+  const { error } = validateCreateCurrency({
+    code: "JPY",
+    rate: 1.8,
+    decimals: 0,
+    rounding: { ending: 0.99 },
+  });
+  assert.match(error.message, /needs a currency with decimals/);
+
+  const zeroRate = new Currency({ code: "USD", rate: 0 }).validateSync();
+  assert.equal(zeroRate.errors.rate.message, "Rate must be positive");
+  const jpy = new Currency({ code: "JPY", rate: 1.8, decimals: 0, rounding: { ending: 0.99 } });
+  assert.ok(jpy.validateSync().errors["rounding.ending"]);
+});
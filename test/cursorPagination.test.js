@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cursorPaginate, InvalidCursorError } from "../src/utils/cursorPagination.js";
+
+// Minimal Model stand-in: records the query and returns fixed rows
+const fakeModel = (rows) => {
+  const calls = [];
+  const Model = {
+    find(query) {
+      const call = { query };
+      calls.push(call);
+      const chain = {
+        sort(sort) {
+          call.sort = sort;
+          return chain;
+        },
+        limit(limit) {
+          call.limit = limit;
+          return chain;
+        },
+        then: (resolve, reject) => Promise.resolve(rows.slice(0, call.limit)).then(resolve, reject),
+      };
+      return chain;
+    },
+  };
+  return { Model, calls };
+};
+
+const rows = [
+  { _id: "c", price: 300 },
+  { _id: "b", price: 200 },
+  { _id: "a", price: 100 },
+];
+
+test("first page fetches one extra row and returns a next cursor", async () => {
+  const { Model, calls } = fakeModel(rows);
+  const page = await cursorPaginate(Model, { filter: { x: 1 }, sortField: "price", limit: 2 });
+
+  assert.deepEqual(calls[0], { query: { x: 1 }, sort: { price: -1, _id: -1 }, limit: 3 });
+  assert.deepEqual(page.docs.map((d) => d._id), ["c", "b"]);
+  assert.ok(page.nextCursor);
+  assert.equal(page.prevCursor, null);
+});
+
+test("next cursor continues strictly after the boundary in descending order", async () => {
+  const first = await cursorPaginate(fakeModel(rows).Model, { sortField: "price", limit: 2 });
+  const { Model, calls } = fakeModel([]);
+  await cursorPaginate(Model, { sortField: "price", limit: 2, cursor: first.nextCursor });
+
+  assert.deepEqual(calls[0].query, {
+    $and: [
+      {},
+      { $or: [{ price: { $lt: 200 } }, { price: 200, _id: { $lt: "b" } }, { price: null }] },
+    ],
+  });
+});
+
+test("prev cursor walks backwards in reverse order and flips the page", async () => {
+  const first = await cursorPaginate(fakeModel(rows).Model, {
+    sortField: "price",
+    sortOrder: 1,
+    limit: 1,
+  });
+  const second = await cursorPaginate(fakeModel([{ _id: "b", price: 200 }]).Model, {
+    sortField: "price",
+    sortOrder: 1,
+    limit: 1,
+    cursor: first.nextCursor,
+  });
+
+  const { Model, calls } = fakeModel([]);
+  await cursorPaginate(Model, { sortField: "price", sortOrder: 1, limit: 1, cursor: second.prevCursor });
+  assert.deepEqual(calls[0].sort, { price: -1, _id: -1 });
+  assert.deepEqual(calls[0].query.$and[1], {
+    $or: [{ price: { $lt: 200 } }, { price: 200, _id: { $lt: "b" } }, { price: null }],
+  });
+});
+
+test("null boundary values sort lowest", async () => {
+  const first = await cursorPaginate(fakeModel([{ _id: "a", price: null }, { _id: "b" }]).Model, {
+    sortField: "price",
+    sortOrder: 1,
+    limit: 1,
+  });
+  const { Model, calls } = fakeModel([]);
+  await cursorPaginate(Model, { sortField: "price", sortOrder: 1, limit: 1, cursor: first.nextCursor });
+
+  assert.deepEqual(calls[0].query.$and[1], {
+    $or: [{ price: null, _id: { $gt: "a" } }, { price: { $ne: null } }],
+  });
+});
+
+test("cursors are rejected for another sort or when malformed", async () => {
+  const first = await cursorPaginate(fakeModel(rows).Model, { sortField: "price", limit: 1 });
+  await assert.rejects(
+    cursorPaginate(fakeModel([]).Model, { sortField: "createdAt", limit: 1, cursor: first.nextCursor }),
+    InvalidCursorError
+  );
+  await assert.rejects(
+    cursorPaginate(fakeModel([]).Model, { sortField: "price", limit: 1, cursor: "not-a-cursor" }),
+    InvalidCursorError
+  );
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../src/models/Product.js";
+import { toTrackedState, diffStates, toRevertState } from "../src/utils/productHistory.js";
+
+const productWithTranslations = () =>
+  new Product({
+    name: "Linen Shirt",
+    sku: "LS-01",
+    price: 1999,
+    category: "Shirts",
+    translations: { hi: { name: "लिनन शर्ट", description: "हल्की शर्ट" } },
+  });
+
+test("toTrackedState keeps translations of a hydrated product", () => {
+  const state = toTrackedState(productWithTranslations());
+  assert.deepEqual(state.translations, { hi: { name: "लिनन शर्ट", description: "हल्की शर्ट" } });
+  assert.equal(state._id, undefined);
+});
+
+test("diffStates finds no change between a lean read and the same hydrated product", () => {
+  const doc = productWithTranslations();
+  const lean = doc.toObject({ flattenMaps: true });
+  assert.deepEqual(diffStates(toTrackedState(lean), toTrackedState(doc)), []);
+});
+
+test("diffStates reports nested fields as dot paths", () => {
+  const before = toTrackedState(productWithTranslations());
+  const doc = productWithTranslations();
+  doc.translations.set("hi", { name: "नई शर्ट" });
+  doc.price = 1799;
+
+  assert.deepEqual(diffStates(before, toTrackedState(doc)), [
+    { field: "price", from: 1999, to: 1799 },
+    { field: "translations.hi.description", from: "हल्की शर्ट", to: undefined },
+    { field: "translations.hi.name", from: "लिनन शर्ट", to: "नई शर्ट" },
+  ]);
+});
+
+test("toRevertState restores translations and keeps live identity and stock", () => {
+  const snapshot = toTrackedState(productWithTranslations());
+  const restored = toRevertState(
+    { ...snapshot, variants: [{ size: "M", color: "Blue", stock: 9 }] },
+    { variants: [{ size: "M", color: "blue", stock: 2 }] }
+  );
+
+  assert.deepEqual(restored.translations, snapshot.translations);
+  assert.equal(restored.sku, undefined);
+  assert.equal(restored.status, undefined);
+  assert.deepEqual(restored.variants, [{ size: "M", color: "Blue", stock: 2 }]);
+
+  const reverted = new Product({ ...restored, name: snapshot.name, sku: "LS-01" });
+  assert.equal(reverted.translations.get("hi").name, "लिनन शर्ट");
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Product from "../src/models/Product.js";
+import { applySaleDiscount, resolveSalePrice } from "../src/utils/salePricing.js";
+
+const product = () =>
+  new Product({
+    name: "Chinos",
+    sku: "CH-01",
+    price: 2000,
+    discount: 10,
+    category: "Trousers",
+    tags: ["summer"],
+    variants: [
+      { size: "M", stock: 3 },
+      { size: "XL", stock: 1, price: 2400 },
+    ],
+  });
+
+const sale = (overrides = {}) => ({
+  _id: "sale1",
+  discountType: "percent",
+  discountValue: 20,
+  appliesTo: { allProducts: true },
+  ...overrides,
+});
+
+test("applySaleDiscount handles percent and amount discounts", () => {
+  assert.equal(applySaleDiscount(2000, sale()), 1600);
+  assert.equal(applySaleDiscount(2000, sale({ discountType: "amount", discountValue: 250 })), 1750);
+  assert.equal(applySaleDiscount(200, sale({ discountType: "amount", discountValue: 250 })), 0);
+});
+
+test("a sale replaces the product discount when it is cheaper", () => {
+  const { price, regularPrice, sale: applied } = resolveSalePrice(product(), [sale()]);
+  assert.equal(regularPrice, 1800);
+  assert.equal(price, 1600);
+  assert.equal(applied._id, "sale1");
+});
+
+test("the regular price wins over a smaller sale", () => {
+  const { price, sale: applied } = resolveSalePrice(product(), [sale({ discountValue: 5 })]);
+  assert.equal(price, 1800);
+  assert.equal(applied, null);
+});
+
+test("variant price overrides are the sale base", () => {
+  assert.equal(resolveSalePrice(product(), [sale()], "XL").price, 1920);
+});
+
+test("sales only apply to the products they target", () => {
+  const other = sale({ appliesTo: { tags: ["winter"] } });
+  assert.equal(resolveSalePrice(product(), [other]).sale, null);
+  const tagged = sale({ appliesTo: { tags: ["summer"] } });
+  assert.equal(resolveSalePrice(product(), [tagged]).price, 1600);
+});